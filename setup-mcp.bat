@@ -17,7 +17,7 @@ echo    This will configure MCP to work specifically with this project
 echo.
 
 :: Run the setup script
-node setup-mcp.js
+node setup-mcp.js %*
 
 :: Check if the script executed successfully
 if %ERRORLEVEL% equ 0 (
@@ -9,7 +9,10 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { execSync, spawn } = require('child_process');
 const readline = require('readline');
 
 // Create interface for user input if needed
@@ -23,9 +26,1184 @@ const CONFIG = {
   memoryDirName: '.mcp',
   memoryFileName: 'ai_memory.json',
   rulesDirName: '.cursor/rules',
+  mcpTransport: 'stdio',
+  // Only used by the sse and http transports
   mcpPort: 3002
 };
 
+// Where the MCP server configuration can be written, for every selected client
+const CONFIG_SCOPES = ['project', 'global', 'both'];
+
+// How Cursor talks to the memory server: Cursor launches stdio servers itself,
+// the HTTP transports connect to a local proxy started with the `mcp` script
+const MCP_TRANSPORTS = ['stdio', 'sse', 'http'];
+
+// What to do with a generated file that was edited since it was generated
+const CONFLICT_ACTIONS = ['ask', 'skip', 'overwrite', 'merge'];
+
+// Memory file format versions: 1 and 2 are the legacy `entries` document (2 added
+// the version field), 3 is the knowledge graph read by the memory server
+const MEMORY_SCHEMA_VERSION = 3;
+const MEMORY_MIGRATIONS = {
+  // Version 1 files predate the version field
+  1: memory => ({ version: 2, ...memory, entries: Array.isArray(memory.entries) ? memory.entries : [] }),
+  // Setup's own entries are dropped, the seeded graph replaces them
+  2: memory => entriesToGraph(memory.entries.filter(entry => !entry || !SETUP_MEMORY_IDS.includes(entry.id))).graph
+};
+
+// Formats `memory convert` can write
+const MEMORY_FORMATS = ['graph', 'entries'];
+
+// Default retention policy for memory backups, overridable with the project config `backup` key
+const BACKUP_POLICY = { keep: 10, daily: 7, weekly: 4, maxSize: 0, gzip: false };
+
+// Memory entries owned by setup in the legacy format
+const SETUP_MEMORY_IDS = ['initial-setup', 'project-context'];
+
+// Trailing comment that marks a file as generated and unedited
+const GENERATED_STAMP = /<!-- mcp-setup:generated sha256=([0-9a-f]{64}) -->\n?$/;
+
+// MCP protocol revision the doctor offers when it launches a server
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+// How long the doctor waits for a launched server to answer a request
+const LAUNCH_TIMEOUT_MS = 30000;
+
+// Checked-in project config files, in lookup order
+const PROJECT_CONFIG_FILES = ['mcp-setup.config.json', '.mcprc'];
+
+// Generated rule files, keyed by the ids used in the project config `rules` list
+const RULE_FILES = {
+  project: 'project-rules.mdc',
+  auth: 'auth-rules.mdc',
+  'data-management': 'data-management-rules.mdc',
+  'ui-components': 'ui-components-rules.mdc',
+  workspaces: 'workspaces-rules.mdc',
+  'best-practices': 'best-practices.mdc'
+};
+
+// Rule globs for projects whose stacks declare none
+const DEFAULT_RULE_GLOBS = {
+  project: ['**/*'],
+  auth: ['**/auth/**/*'],
+  'data-management': ['**/data/**/*', '**/models/**/*'],
+  'ui-components': ['**/components/**/*', '**/ui/**/*']
+};
+
+// Weight of a matched signal by kind, detectors may set their own `weight`
+const SIGNAL_WEIGHTS = { dep: 0.8, pip: 0.8, go: 0.8, crate: 0.8, maven: 0.8, gem: 0.8, composer: 0.8, nuget: 0.8, config: 0.6, file: 0.5, code: 0.7 };
+
+// Confidence a detector needs before its findings are used
+const DETECTION_THRESHOLD = 0.5;
+
+/**
+ * Framework detectors, in priority order. Each matches signals:
+ *   { dep }            a package.json dependency
+ *   { pip }            a Python dependency from requirements, Pipfile or pyproject.toml
+ *   { go }             a Go module from go.mod, also matched without its /vN suffix
+ *   { crate }          a Rust crate from Cargo.toml
+ *   { maven }          a JVM dependency or plugin from Maven or Gradle, as group:artifact,
+ *                      group or plugin id
+ *   { gem }            a Ruby gem from the Gemfile
+ *   { composer }       a PHP package from composer.json
+ *   { nuget }          a .NET package, framework reference or SDK from a project file,
+ *                      also matched by its dotted prefixes
+ *   { config, match }  a config file, optionally containing `match`
+ *   { file }           a file or directory in the project root
+ *   { code, ext }      a top-level source file with extension `ext` matching `code`
+ * and contributes findings once their combined confidence passes the threshold:
+ *   stack       project type, the highest `rank` becomes projectInfo.type
+ *   includes    stacks this one builds on, folded into it (Next.js includes React)
+ *   requires    detectors that must also match (Django requires Python)
+ *   frameworks, testing, patterns (auth, dataManagement, ui)
+ *   globs       rule globs by rule id, inherited through `includes`
+ *   practices   best practices section for the stack
+ */
+const DETECTORS = [
+  // UI libraries and frameworks
+  {
+    id: 'react',
+    signals: [{ dep: 'react' }],
+    stack: 'React',
+    rank: 2,
+    frameworks: ['React'],
+    globs: {
+      project: ['**/*.{ts,tsx,js,jsx}'],
+      auth: ['**/auth/**/*.{ts,tsx,js,jsx}'],
+      'data-management': ['**/lib/**/*.{ts,js}', '**/hooks/**/*.{ts,tsx,js,jsx}', '**/data/**/*.{ts,js}'],
+      'ui-components': ['**/components/**/*.{tsx,jsx,ts,js}']
+    },
+    practices: `React Best Practices:
+
+- Use functional components and hooks instead of class components for better code organization
+- Implement proper use of React.memo and useMemo for performance optimization
+- Follow the React hooks rules strictly to avoid common pitfalls
+- Utilize context API for efficient state management across components
+- Implement proper prop type validation for better code maintainability`
+  },
+  {
+    id: 'nextjs',
+    signals: [{ dep: 'next' }, { config: 'next.config.js' }, { config: 'next.config.mjs' }, { config: 'next.config.ts' }],
+    stack: 'Next.js',
+    rank: 3,
+    includes: ['react'],
+    frameworks: ['Next.js'],
+    practices: `Next.js Best Practices:
+
+- Utilize Next.js App Router for improved performance and easier data fetching
+- Implement proper error boundaries to handle and display errors gracefully
+- Use suspense and concurrent features for efficient data fetching and rendering
+- Leverage Next.js built-in optimizations like code splitting and image optimization
+- Implement proper server-side rendering and static generation where appropriate`
+  },
+  {
+    id: 'remix',
+    signals: [{ dep: '@remix-run/react' }, { dep: '@remix-run/node' }, { config: 'remix.config.js' }],
+    stack: 'Remix',
+    rank: 3,
+    includes: ['react'],
+    frameworks: ['Remix'],
+    practices: `Remix Best Practices:
+
+- Load data in route loaders and change it in actions instead of fetching from effects
+- Use nested routes and outlets so each route owns its data and error boundary
+- Prefer the Form component and progressive enhancement over client-only handlers
+- Keep server-only code in .server modules so it never reaches the browser bundle
+- Set cache headers on loaders and documents for data that can be cached`
+  },
+  {
+    id: 'react-native',
+    signals: [{ dep: 'react-native' }],
+    stack: 'React Native',
+    rank: 3,
+    includes: ['react'],
+    frameworks: ['React Native'],
+    practices: `React Native Best Practices:
+
+- Use FlatList or SectionList for long lists instead of mapping inside a ScrollView
+- Keep platform-specific code in .ios and .android files or behind Platform checks
+- Move heavy work off the JS thread and avoid unnecessary re-renders
+- Use StyleSheet.create and a shared theme instead of inline styles
+- Test on real devices for both platforms before release`
+  },
+  {
+    id: 'expo',
+    signals: [{ dep: 'expo' }, { config: 'app.json', match: /"expo"\s*:/ }, { config: 'app.config.js' }, { config: 'app.config.ts' }],
+    stack: 'Expo',
+    rank: 4,
+    includes: ['react-native'],
+    frameworks: ['Expo'],
+    practices: `Expo Best Practices:
+
+- Install native packages with npx expo install so versions match the SDK
+- Keep app configuration in app.json or app.config.js instead of native projects
+- Use Expo Router for file-based navigation and deep links
+- Ship JavaScript fixes with EAS Update and native changes with EAS Build
+- Upgrade one SDK version at a time and follow its upgrade notes`
+  },
+  {
+    id: 'vue',
+    signals: [{ dep: 'vue' }],
+    stack: 'Vue',
+    rank: 2,
+    frameworks: ['Vue'],
+    globs: {
+      project: ['**/*.{vue,js,ts}'],
+      auth: ['**/auth/**/*.{vue,js,ts}'],
+      'data-management': ['**/store/**/*.{js,ts}', '**/services/**/*.{js,ts}'],
+      'ui-components': ['**/components/**/*.vue']
+    },
+    practices: `Vue Best Practices:
+
+- Use Vue Composition API for better code organization and reusability
+- Implement proper component structure with clear separation of concerns
+- Follow Vue's official style guide for consistent code style
+- Utilize Vue's reactivity system efficiently
+- Implement proper error handling and form validation`
+  },
+  {
+    id: 'nuxt',
+    signals: [{ dep: 'nuxt' }, { config: 'nuxt.config.js' }, { config: 'nuxt.config.ts' }],
+    stack: 'Nuxt.js',
+    rank: 3,
+    includes: ['vue'],
+    frameworks: ['Nuxt.js'],
+    practices: `Nuxt.js Best Practices:
+
+- Fetch data with useFetch or useAsyncData so it is shared between server and client
+- Rely on auto-imports and the directory structure instead of manual registration
+- Keep server code in the server directory and expose it through API routes
+- Use runtime config for environment values instead of reading process.env in components
+- Choose rendering per route with route rules (SSR, static or client-only)`
+  },
+  {
+    id: 'angular',
+    signals: [{ dep: '@angular/core' }, { dep: 'angular' }, { config: 'angular.json' }],
+    stack: 'Angular',
+    rank: 3,
+    frameworks: ['Angular'],
+    globs: {
+      project: ['**/*.{ts,html,scss}'],
+      auth: ['**/auth/**/*.{ts,html}'],
+      'data-management': ['**/services/**/*.ts', '**/store/**/*.ts'],
+      'ui-components': ['**/components/**/*.ts', '**/components/**/*.html', '**/components/**/*.scss']
+    },
+    practices: `Angular Best Practices:
+
+- Follow Angular's official style guide for consistent code style
+- Implement proper component design with clear inputs and outputs
+- Utilize Angular's dependency injection system effectively
+- Implement proper error handling and validation
+- Use Angular's change detection strategies for performance optimization`
+  },
+  {
+    id: 'svelte',
+    signals: [{ dep: 'svelte' }],
+    stack: 'Svelte',
+    rank: 2,
+    frameworks: ['Svelte'],
+    globs: {
+      project: ['**/*.{svelte,js,ts}'],
+      auth: ['**/auth/**/*.{svelte,js,ts}'],
+      'data-management': ['**/stores/**/*.{js,ts}', '**/lib/**/*.{js,ts}'],
+      'ui-components': ['**/components/**/*.svelte']
+    },
+    practices: `Svelte Best Practices:
+
+- Keep components small and pass data down with props
+- Use stores for state shared between components and keep local state in components
+- Prefer reactive declarations over manual updates for derived values
+- Clean up subscriptions and listeners in onDestroy
+- Scope styles to components and avoid global CSS where possible`
+  },
+  {
+    id: 'sveltekit',
+    signals: [{ dep: '@sveltejs/kit' }, { config: 'svelte.config.js', weight: 0.3 }],
+    stack: 'SvelteKit',
+    rank: 3,
+    includes: ['svelte'],
+    frameworks: ['SvelteKit'],
+    practices: `SvelteKit Best Practices:
+
+- Load page data in +page.js or +page.server.js load functions
+- Handle form submissions with form actions and progressive enhancement
+- Keep secrets in server-only modules such as $lib/server and $env/static/private
+- Use hooks for authentication and request-wide logic
+- Choose prerendering, SSR or CSR per route with page options`
+  },
+  {
+    id: 'solid',
+    signals: [{ dep: 'solid-js' }],
+    stack: 'SolidJS',
+    rank: 2,
+    frameworks: ['SolidJS'],
+    globs: {
+      project: ['**/*.{ts,tsx,js,jsx}'],
+      auth: ['**/auth/**/*.{ts,tsx,js,jsx}'],
+      'data-management': ['**/lib/**/*.{ts,js}', '**/stores/**/*.{ts,js}'],
+      'ui-components': ['**/components/**/*.{tsx,jsx}']
+    },
+    practices: `SolidJS Best Practices:
+
+- Do not destructure props, read them through the props object to keep reactivity
+- Use signals for local state and stores for nested data
+- Use createResource for async data and Suspense for loading states
+- Render lists with For and conditions with Show instead of plain map and ternaries
+- Remember components run once, put reactive work in effects and memos`
+  },
+  {
+    id: 'astro',
+    signals: [{ dep: 'astro' }, { config: 'astro.config.mjs' }, { config: 'astro.config.ts' }, { config: 'astro.config.js' }],
+    stack: 'Astro',
+    rank: 3,
+    frameworks: ['Astro'],
+    globs: {
+      project: ['**/*.{astro,ts,tsx,js,jsx,md,mdx}'],
+      auth: ['**/auth/**/*.{astro,ts,js}'],
+      'data-management': ['**/lib/**/*.{ts,js}', '**/content/**/*'],
+      'ui-components': ['**/components/**/*.{astro,tsx,jsx,vue,svelte}']
+    },
+    practices: `Astro Best Practices:
+
+- Ship static HTML by default and hydrate only the islands that need interactivity
+- Pick the lightest client directive that works (client:visible or client:idle before client:load)
+- Use content collections with schemas for Markdown and MDX content
+- Fetch data in component frontmatter at build or request time
+- Use the built-in Image component for optimized images`
+  },
+  {
+    id: 'electron',
+    signals: [{ dep: 'electron' }, { dep: 'electron-builder', weight: 0.5 }, { config: 'electron-builder.yml' }, { config: 'forge.config.js' }],
+    stack: 'Electron',
+    rank: 3,
+    frameworks: ['Electron'],
+    globs: {
+      project: ['**/*.{ts,tsx,js,jsx}']
+    },
+    practices: `Electron Best Practices:
+
+- Keep context isolation on and node integration off in renderer processes
+- Expose a minimal API to renderers through a preload script and contextBridge
+- Validate every IPC message in the main process
+- Load only local content or strictly allow-listed remote URLs
+- Sign and auto-update builds through the packaging tool`
+  },
+  // Server frameworks
+  { id: 'express', signals: [{ dep: 'express' }], stack: 'Node.js', rank: 1, frameworks: ['Express'] },
+  { id: 'koa', signals: [{ dep: 'koa' }], stack: 'Node.js', rank: 1, frameworks: ['Koa'] },
+  { id: 'hapi', signals: [{ dep: 'hapi' }, { dep: '@hapi/hapi' }], stack: 'Node.js', rank: 1, frameworks: ['Hapi'] },
+  { id: 'fastify', signals: [{ dep: 'fastify' }], stack: 'Node.js', rank: 1, frameworks: ['Fastify'] },
+  {
+    id: 'nestjs',
+    signals: [{ dep: '@nestjs/core' }, { config: 'nest-cli.json' }],
+    stack: 'NestJS',
+    rank: 2,
+    includes: ['express', 'fastify'],
+    frameworks: ['NestJS'],
+    globs: {
+      project: ['**/*.ts'],
+      auth: ['**/auth/**/*.ts'],
+      'data-management': ['**/*.entity.ts', '**/*.repository.ts', '**/*.service.ts'],
+      'ui-components': ['**/*.controller.ts']
+    },
+    practices: `NestJS Best Practices:
+
+- Organize code in feature modules with their own controllers and providers
+- Keep controllers thin and put business logic in injectable services
+- Validate input with DTOs, class-validator and the global ValidationPipe
+- Use guards for authentication and authorization and interceptors for cross-cutting concerns
+- Load configuration through ConfigModule instead of reading process.env directly`
+  },
+  // Python
+  {
+    id: 'python',
+    signals: [{ config: 'requirements.txt', weight: 0.8 }, { config: 'Pipfile', weight: 0.8 }, { config: 'pyproject.toml', weight: 0.8 }, { config: 'setup.py' }],
+    stack: 'Python',
+    rank: 1,
+    globs: {
+      project: ['**/*.py'],
+      auth: ['**/auth/**/*.py'],
+      'data-management': ['**/models/**/*.py', '**/db/**/*.py']
+    },
+    practices: `Python Best Practices:
+
+- Follow PEP 8 style guide for consistent code style
+- Use type hints for better code documentation and tooling
+- Implement proper error handling with try/except blocks
+- Use context managers for resource management
+- Implement proper logging for debugging and monitoring`
+  },
+  {
+    id: 'django',
+    signals: [{ pip: 'django' }, { file: 'manage.py', weight: 0.8 }, { file: 'django_project' }],
+    requires: ['python'],
+    frameworks: ['Django']
+  },
+  {
+    id: 'flask',
+    signals: [{ pip: 'flask' }, { code: 'Flask(__name__', ext: '.py' }, { file: 'app.py', weight: 0.2 }],
+    requires: ['python'],
+    frameworks: ['Flask']
+  },
+  {
+    id: 'fastapi',
+    signals: [{ pip: 'fastapi' }, { code: 'FastAPI(', ext: '.py' }],
+    requires: ['python'],
+    frameworks: ['FastAPI']
+  },
+  {
+    id: 'django-rest-framework',
+    signals: [{ pip: 'djangorestframework' }],
+    requires: ['python'],
+    frameworks: ['Django REST framework']
+  },
+  {
+    id: 'celery',
+    signals: [{ pip: 'celery' }],
+    requires: ['python'],
+    frameworks: ['Celery']
+  },
+  {
+    id: 'pydantic',
+    signals: [{ pip: 'pydantic' }, { pip: 'pydantic-settings' }],
+    requires: ['python'],
+    frameworks: ['Pydantic']
+  },
+  {
+    id: 'django-allauth',
+    signals: [{ pip: 'django-allauth' }],
+    requires: ['python'],
+    patterns: { auth: 'django-allauth' }
+  },
+  {
+    id: 'simplejwt',
+    signals: [{ pip: 'djangorestframework-simplejwt' }],
+    requires: ['python'],
+    patterns: { auth: 'Simple JWT' }
+  },
+  {
+    id: 'flask-login',
+    signals: [{ pip: 'flask-login' }],
+    requires: ['python'],
+    patterns: { auth: 'Flask-Login' }
+  },
+  {
+    id: 'flask-jwt-extended',
+    signals: [{ pip: 'flask-jwt-extended' }],
+    requires: ['python'],
+    patterns: { auth: 'Flask-JWT-Extended' }
+  },
+  {
+    id: 'fastapi-users',
+    signals: [{ pip: 'fastapi-users' }],
+    requires: ['python'],
+    patterns: { auth: 'FastAPI Users' }
+  },
+  {
+    id: 'authlib',
+    signals: [{ pip: 'authlib' }],
+    requires: ['python'],
+    patterns: { auth: 'Authlib' }
+  },
+  {
+    id: 'sqlalchemy',
+    signals: [{ pip: 'sqlalchemy' }, { pip: 'flask-sqlalchemy' }, { pip: 'sqlmodel' }],
+    requires: ['python'],
+    patterns: { dataManagement: 'SQLAlchemy' }
+  },
+  // Django projects use its ORM unless they bring another one
+  {
+    id: 'django-orm',
+    signals: [{ pip: 'django', weight: 0.6 }],
+    requires: ['django'],
+    patterns: { dataManagement: 'Django ORM' }
+  },
+  {
+    id: 'tortoise',
+    signals: [{ pip: 'tortoise-orm' }],
+    requires: ['python'],
+    patterns: { dataManagement: 'Tortoise ORM' }
+  },
+  {
+    id: 'pymongo',
+    signals: [{ pip: 'pymongo' }, { pip: 'motor' }],
+    requires: ['python'],
+    patterns: { dataManagement: 'MongoDB (PyMongo)' }
+  },
+  // Go
+  {
+    id: 'go',
+    signals: [{ config: 'go.mod' }, { config: 'go.work' }],
+    stack: 'Go',
+    rank: 1,
+    globs: {
+      project: ['**/*.go'],
+      auth: ['**/auth/**/*.go', '**/middleware/**/*.go'],
+      'data-management': ['**/models/**/*.go', '**/repository/**/*.go', '**/store/**/*.go', '**/db/**/*.go']
+    },
+    practices: `Go Best Practices:
+
+- Format code with gofmt and keep go vet and staticcheck clean
+- Return errors instead of panicking, and wrap them with %w to keep their context
+- Pass context.Context as the first argument of functions that do I/O or may block
+- Keep interfaces small and define them where they are used
+- Protect shared state with channels or sync primitives and run tests with -race`
+  },
+  {
+    id: 'gin',
+    signals: [{ go: 'github.com/gin-gonic/gin' }],
+    requires: ['go'],
+    frameworks: ['Gin']
+  },
+  {
+    id: 'echo',
+    signals: [{ go: 'github.com/labstack/echo' }],
+    requires: ['go'],
+    frameworks: ['Echo']
+  },
+  {
+    id: 'fiber',
+    signals: [{ go: 'github.com/gofiber/fiber' }],
+    requires: ['go'],
+    frameworks: ['Fiber']
+  },
+  {
+    id: 'chi',
+    signals: [{ go: 'github.com/go-chi/chi' }],
+    requires: ['go'],
+    frameworks: ['chi']
+  },
+  {
+    id: 'gorm',
+    signals: [{ go: 'gorm.io/gorm' }],
+    requires: ['go'],
+    patterns: { dataManagement: 'GORM' }
+  },
+  {
+    id: 'sqlc',
+    signals: [{ config: 'sqlc.yaml' }, { config: 'sqlc.yml' }, { config: 'sqlc.json' }],
+    requires: ['go'],
+    patterns: { dataManagement: 'sqlc' }
+  },
+  // Rust
+  {
+    id: 'rust',
+    signals: [{ config: 'Cargo.toml' }],
+    stack: 'Rust',
+    rank: 1,
+    globs: {
+      project: ['**/*.rs'],
+      auth: ['**/auth/**/*.rs', '**/middleware/**/*.rs'],
+      'data-management': ['**/models/**/*.rs', '**/db/**/*.rs', '**/repository/**/*.rs', 'migrations/**/*']
+    },
+    practices: `Rust Best Practices:
+
+- Format code with rustfmt and keep cargo clippy free of warnings
+- Return Result and propagate errors with ?, using thiserror in libraries and anyhow in applications
+- Keep unwrap and expect out of library code and request handlers
+- Prefer borrowing to cloning, and keep unsafe blocks small with a SAFETY comment
+- Never block the async runtime, move blocking work to spawn_blocking`
+  },
+  {
+    id: 'axum',
+    signals: [{ crate: 'axum' }],
+    requires: ['rust'],
+    frameworks: ['Axum']
+  },
+  {
+    id: 'actix-web',
+    signals: [{ crate: 'actix-web' }],
+    requires: ['rust'],
+    frameworks: ['Actix Web']
+  },
+  {
+    id: 'rocket',
+    signals: [{ crate: 'rocket' }],
+    requires: ['rust'],
+    frameworks: ['Rocket']
+  },
+  {
+    id: 'tokio',
+    signals: [{ crate: 'tokio' }],
+    requires: ['rust'],
+    frameworks: ['Tokio']
+  },
+  {
+    id: 'diesel',
+    signals: [{ crate: 'diesel' }],
+    requires: ['rust'],
+    patterns: { dataManagement: 'Diesel' }
+  },
+  {
+    id: 'sqlx',
+    signals: [{ crate: 'sqlx' }],
+    requires: ['rust'],
+    patterns: { dataManagement: 'SQLx' }
+  },
+  {
+    id: 'sea-orm',
+    signals: [{ crate: 'sea-orm' }],
+    requires: ['rust'],
+    patterns: { dataManagement: 'SeaORM' }
+  },
+  // Java and Kotlin
+  {
+    id: 'java',
+    signals: [{ config: 'pom.xml' }, { config: 'build.gradle' }, { config: 'build.gradle.kts' }],
+    stack: 'Java',
+    rank: 1,
+    globs: {
+      project: ['**/*.java'],
+      auth: ['**/security/**/*.java', '**/auth/**/*.java'],
+      'data-management': ['**/model/**/*.java', '**/entity/**/*.java', '**/repository/**/*.java']
+    },
+    practices: `Java Best Practices:
+
+- Follow the standard Maven or Gradle layout with one top-level class per file
+- Use constructor injection and final fields, and prefer immutable value types such as records
+- Return Optional instead of null from lookups, never from fields or parameters
+- Close resources with try-with-resources and do not swallow exceptions
+- Log through SLF4J with parameterized messages instead of string concatenation`
+  },
+  {
+    id: 'kotlin',
+    signals: [{ maven: 'org.jetbrains.kotlin' }, { maven: 'org.jetbrains.kotlin.jvm' }, { maven: 'org.jetbrains.kotlin.android' }, { maven: 'org.jetbrains.kotlin.multiplatform' }],
+    stack: 'Kotlin',
+    rank: 2,
+    includes: ['java'],
+    requires: ['java'],
+    globs: {
+      project: ['**/*.{kt,kts,java}'],
+      auth: ['**/security/**/*.{java,kt}', '**/auth/**/*.{java,kt}'],
+      'data-management': ['**/model/**/*.{java,kt}', '**/entity/**/*.{java,kt}', '**/repository/**/*.{java,kt}']
+    },
+    practices: `Kotlin Best Practices:
+
+- Prefer val and immutable collections, and model data with data classes
+- Use nullable types instead of !!, handling null with ?., ?: and let
+- Use sealed classes and exhaustive when expressions for closed hierarchies
+- Run concurrent work in structured coroutine scopes instead of GlobalScope
+- Format and lint with ktlint or detekt`
+  },
+  {
+    id: 'spring-boot',
+    signals: [{ maven: 'org.springframework.boot' }],
+    stack: 'Spring Boot',
+    rank: 3,
+    includes: ['java'],
+    requires: ['java'],
+    frameworks: ['Spring Boot'],
+    globs: {
+      project: ['**/*.{java,kt}', '**/application*.{properties,yml,yaml}'],
+      auth: ['**/security/**/*.{java,kt}', '**/auth/**/*.{java,kt}'],
+      'data-management': ['**/*Repository.{java,kt}', '**/entity/**/*.{java,kt}', '**/model/**/*.{java,kt}', '**/db/migration/**/*'],
+      'ui-components': ['**/*Controller.{java,kt}', '**/templates/**/*']
+    },
+    practices: `Spring Boot Best Practices:
+
+- Keep controllers thin and put business logic in @Service classes
+- Use constructor injection instead of field injection with @Autowired
+- Bind configuration to @ConfigurationProperties classes instead of scattered @Value fields
+- Validate request bodies with Bean Validation and handle errors in a @ControllerAdvice
+- Manage schema changes with Flyway or Liquibase migrations instead of ddl-auto`
+  },
+  {
+    id: 'quarkus',
+    signals: [{ maven: 'io.quarkus' }],
+    requires: ['java'],
+    frameworks: ['Quarkus']
+  },
+  {
+    id: 'micronaut',
+    signals: [{ maven: 'io.micronaut' }],
+    requires: ['java'],
+    frameworks: ['Micronaut']
+  },
+  {
+    id: 'ktor',
+    signals: [{ maven: 'io.ktor' }],
+    requires: ['java'],
+    frameworks: ['Ktor']
+  },
+  {
+    id: 'spring-security',
+    signals: [{ maven: 'org.springframework.boot:spring-boot-starter-security' }, { maven: 'org.springframework.security' }],
+    requires: ['java'],
+    patterns: { auth: 'Spring Security' }
+  },
+  {
+    id: 'spring-data-jpa',
+    signals: [{ maven: 'org.springframework.boot:spring-boot-starter-data-jpa' }, { maven: 'org.springframework.data:spring-data-jpa' }],
+    requires: ['java'],
+    patterns: { dataManagement: 'Spring Data JPA' }
+  },
+  {
+    id: 'hibernate',
+    signals: [{ maven: 'org.hibernate.orm' }, { maven: 'org.hibernate' }],
+    requires: ['java'],
+    patterns: { dataManagement: 'Hibernate' }
+  },
+  // Ruby
+  {
+    id: 'ruby',
+    signals: [{ config: 'Gemfile' }, { config: '.ruby-version', weight: 0.3 }],
+    stack: 'Ruby',
+    rank: 1,
+    globs: {
+      project: ['**/*.rb'],
+      auth: ['**/auth/**/*.rb'],
+      'data-management': ['**/models/**/*.rb', 'db/**/*.rb']
+    },
+    practices: `Ruby Best Practices:
+
+- Follow the community style guide and enforce it with RuboCop
+- Keep methods short and objects focused on a single responsibility
+- Add the frozen_string_literal magic comment and avoid mutating shared state
+- Rescue specific exceptions instead of StandardError
+- Pin dependencies with a committed Gemfile.lock`
+  },
+  {
+    id: 'rails',
+    signals: [{ gem: 'rails' }, { file: 'bin/rails', weight: 0.6 }, { file: 'config/application.rb' }],
+    stack: 'Ruby on Rails',
+    rank: 2,
+    includes: ['ruby'],
+    requires: ['ruby'],
+    frameworks: ['Ruby on Rails'],
+    globs: {
+      project: ['**/*.{rb,erb}'],
+      auth: ['app/controllers/concerns/**/*.rb', 'app/controllers/**/*sessions_controller.rb', 'app/policies/**/*.rb', 'config/initializers/devise.rb'],
+      'data-management': ['app/models/**/*.rb', 'db/migrate/**/*.rb', 'db/schema.rb'],
+      'ui-components': ['app/views/**/*', 'app/components/**/*', 'app/helpers/**/*.rb']
+    },
+    practices: `Ruby on Rails Best Practices:
+
+- Follow Rails conventions for naming, routing and directory layout
+- Keep controllers thin, moving business logic to models or service objects
+- Use strong parameters for every action that writes user input
+- Avoid N+1 queries with includes and preload, and add indexes for foreign keys
+- Run slow work in Active Job background jobs`
+  },
+  {
+    id: 'sinatra',
+    signals: [{ gem: 'sinatra' }],
+    requires: ['ruby'],
+    frameworks: ['Sinatra']
+  },
+  {
+    id: 'sidekiq',
+    signals: [{ gem: 'sidekiq' }],
+    requires: ['ruby'],
+    frameworks: ['Sidekiq']
+  },
+  {
+    id: 'devise',
+    signals: [{ gem: 'devise' }],
+    requires: ['ruby'],
+    patterns: { auth: 'Devise' }
+  },
+  // Rails applications use Active Record unless they bring another ORM
+  {
+    id: 'active-record',
+    signals: [{ gem: 'rails', weight: 0.6 }, { gem: 'activerecord' }],
+    requires: ['ruby'],
+    patterns: { dataManagement: 'Active Record' }
+  },
+  // PHP
+  {
+    id: 'php',
+    signals: [{ config: 'composer.json' }],
+    stack: 'PHP',
+    rank: 1,
+    globs: {
+      project: ['**/*.php'],
+      auth: ['**/Auth/**/*.php', '**/Security/**/*.php'],
+      'data-management': ['**/Models/**/*.php', '**/Entity/**/*.php', '**/Repository/**/*.php']
+    },
+    practices: `PHP Best Practices:
+
+- Follow PSR-12 coding style and PSR-4 autoloading through Composer
+- Add declare(strict_types=1) and type declarations to every file
+- Use prepared statements or the ORM for every query, never concatenated SQL
+- Escape output for its context and validate all request input
+- Run static analysis with PHPStan or Psalm`
+  },
+  {
+    id: 'laravel',
+    signals: [{ composer: 'laravel/framework' }, { file: 'artisan' }],
+    stack: 'Laravel',
+    rank: 2,
+    includes: ['php'],
+    requires: ['php'],
+    frameworks: ['Laravel'],
+    globs: {
+      auth: ['app/Http/Controllers/Auth/**/*.php', 'app/Http/Middleware/**/*.php', 'app/Policies/**/*.php'],
+      'data-management': ['app/Models/**/*.php', 'database/**/*.php'],
+      'ui-components': ['resources/views/**/*.blade.php', 'app/View/**/*.php']
+    },
+    practices: `Laravel Best Practices:
+
+- Validate input with Form Request classes instead of inside controllers
+- Authorize actions with policies and gates
+- Eager load relationships with with() to avoid N+1 queries
+- Read configuration through config() and only call env() inside config files
+- Queue slow work such as mail and external API calls`
+  },
+  {
+    id: 'symfony',
+    signals: [{ composer: 'symfony/framework-bundle' }],
+    requires: ['php'],
+    frameworks: ['Symfony']
+  },
+  {
+    id: 'laravel-sanctum',
+    signals: [{ composer: 'laravel/sanctum' }],
+    requires: ['php'],
+    patterns: { auth: 'Laravel Sanctum' }
+  },
+  {
+    id: 'laravel-passport',
+    signals: [{ composer: 'laravel/passport' }],
+    requires: ['php'],
+    patterns: { auth: 'Laravel Passport' }
+  },
+  // Laravel applications use Eloquent unless they bring another ORM
+  {
+    id: 'eloquent',
+    signals: [{ composer: 'laravel/framework', weight: 0.6 }, { composer: 'illuminate/database' }],
+    requires: ['php'],
+    patterns: { dataManagement: 'Eloquent ORM' }
+  },
+  {
+    id: 'doctrine',
+    signals: [{ composer: 'doctrine/orm' }],
+    requires: ['php'],
+    patterns: { dataManagement: 'Doctrine ORM' }
+  },
+  // .NET
+  {
+    id: 'dotnet',
+    signals: [{ code: '<Project', ext: '.csproj' }, { code: '<Project', ext: '.fsproj' }, { code: 'Microsoft Visual Studio Solution File', ext: '.sln' }],
+    stack: '.NET',
+    rank: 1,
+    globs: {
+      project: ['**/*.{cs,fs}'],
+      auth: ['**/Auth/**/*.cs', '**/Authorization/**/*.cs'],
+      'data-management': ['**/Models/**/*.cs', '**/Entities/**/*.cs', '**/Data/**/*.cs', '**/Migrations/**/*.cs']
+    },
+    practices: `.NET Best Practices:
+
+- Enable nullable reference types and treat warnings as errors
+- Use async and await all the way down, never .Result or .Wait()
+- Register dependencies with the built-in container and inject them through constructors
+- Bind settings with the options pattern instead of reading configuration keys directly
+- Log through ILogger with structured message templates`
+  },
+  {
+    id: 'aspnet-core',
+    signals: [{ nuget: 'Microsoft.NET.Sdk.Web' }, { nuget: 'Microsoft.AspNetCore' }],
+    stack: 'ASP.NET Core',
+    rank: 2,
+    includes: ['dotnet'],
+    requires: ['dotnet'],
+    frameworks: ['ASP.NET Core'],
+    globs: {
+      project: ['**/*.{cs,cshtml,razor}', '**/appsettings*.json'],
+      'ui-components': ['**/Views/**/*.cshtml', '**/Pages/**/*.{cshtml,razor}', '**/Components/**/*.razor']
+    },
+    practices: `ASP.NET Core Best Practices:
+
+- Keep controllers and endpoints thin and move logic into injected services
+- Validate requests and return ProblemDetails for errors
+- Protect endpoints with authorization policies instead of checks inside actions
+- Pass CancellationToken through request handlers to downstream calls
+- Keep secrets out of appsettings.json, use user secrets or environment variables`
+  },
+  {
+    id: 'blazor',
+    signals: [{ nuget: 'Microsoft.NET.Sdk.BlazorWebAssembly' }, { nuget: 'Microsoft.AspNetCore.Components' }],
+    requires: ['dotnet'],
+    frameworks: ['Blazor']
+  },
+  {
+    id: 'aspnet-identity',
+    signals: [{ nuget: 'Microsoft.AspNetCore.Identity' }],
+    requires: ['dotnet'],
+    patterns: { auth: 'ASP.NET Core Identity' }
+  },
+  {
+    id: 'ef-core',
+    signals: [{ nuget: 'Microsoft.EntityFrameworkCore' }, { nuget: 'Npgsql.EntityFrameworkCore' }, { nuget: 'Pomelo.EntityFrameworkCore' }],
+    requires: ['dotnet'],
+    patterns: { dataManagement: 'Entity Framework Core' }
+  },
+  {
+    id: 'dapper',
+    signals: [{ nuget: 'Dapper' }],
+    requires: ['dotnet'],
+    patterns: { dataManagement: 'Dapper' }
+  },
+  // Testing
+  { id: 'jest', signals: [{ dep: 'jest' }], testing: ['Jest'] },
+  { id: 'mocha', signals: [{ dep: 'mocha' }], testing: ['Mocha'] },
+  { id: 'chai', signals: [{ dep: 'chai' }], testing: ['Chai'] },
+  { id: 'cypress', signals: [{ dep: 'cypress' }], testing: ['Cypress'] },
+  { id: 'testing-library-react', signals: [{ dep: '@testing-library/react' }], testing: ['React Testing Library'] },
+  { id: 'testing-library-vue', signals: [{ dep: '@testing-library/vue' }], testing: ['Vue Testing Library'] },
+  {
+    id: 'pytest',
+    signals: [{ pip: 'pytest' }, { config: 'pytest.ini' }, { file: 'conftest.py' }],
+    requires: ['python'],
+    testing: ['pytest']
+  },
+  { id: 'unittest', signals: [{ code: 'unittest.TestCase', ext: '.py' }, { file: 'unittest' }], requires: ['python'], testing: ['unittest'] },
+  {
+    id: 'testify',
+    signals: [{ go: 'github.com/stretchr/testify' }],
+    requires: ['go'],
+    testing: ['testify']
+  },
+  {
+    id: 'junit',
+    signals: [{ maven: 'org.junit.jupiter' }, { maven: 'junit:junit' }],
+    requires: ['java'],
+    testing: ['JUnit']
+  },
+  {
+    id: 'mockito',
+    signals: [{ maven: 'org.mockito' }],
+    requires: ['java'],
+    testing: ['Mockito']
+  },
+  {
+    id: 'rspec',
+    signals: [{ gem: 'rspec' }, { gem: 'rspec-rails' }, { config: '.rspec' }],
+    requires: ['ruby'],
+    testing: ['RSpec']
+  },
+  {
+    id: 'minitest',
+    signals: [{ gem: 'minitest' }],
+    requires: ['ruby'],
+    testing: ['Minitest']
+  },
+  {
+    id: 'phpunit',
+    signals: [{ composer: 'phpunit/phpunit' }, { config: 'phpunit.xml' }, { config: 'phpunit.xml.dist' }],
+    requires: ['php'],
+    testing: ['PHPUnit']
+  },
+  {
+    id: 'pest',
+    signals: [{ composer: 'pestphp/pest' }],
+    requires: ['php'],
+    testing: ['Pest']
+  },
+  {
+    id: 'xunit',
+    signals: [{ nuget: 'xunit' }],
+    requires: ['dotnet'],
+    testing: ['xUnit']
+  },
+  {
+    id: 'nunit',
+    signals: [{ nuget: 'NUnit' }],
+    requires: ['dotnet'],
+    testing: ['NUnit']
+  },
+  {
+    id: 'mstest',
+    signals: [{ nuget: 'MSTest' }],
+    requires: ['dotnet'],
+    testing: ['MSTest']
+  },
+  // State management
+  { id: 'redux', signals: [{ dep: 'redux' }, { dep: '@reduxjs/toolkit' }], frameworks: ['Redux'] },
+  { id: 'mobx', signals: [{ dep: 'mobx' }], frameworks: ['MobX'] },
+  { id: 'zustand', signals: [{ dep: 'zustand' }], frameworks: ['Zustand'] },
+  { id: 'jotai', signals: [{ dep: 'jotai' }], frameworks: ['Jotai'] },
+  { id: 'recoil', signals: [{ dep: 'recoil' }], frameworks: ['Recoil'] },
+  // Authentication and data
+  {
+    id: 'firebase',
+    signals: [{ dep: 'firebase' }, { dep: 'firebase-admin' }, { config: 'firebase.json', weight: 0.3 }],
+    frameworks: ['Firebase'],
+    patterns: { auth: 'Firebase Authentication', dataManagement: 'Firebase Firestore' }
+  },
+  { id: 'auth0', signals: [{ dep: 'auth0' }, { dep: '@auth0/nextjs-auth0' }, { dep: '@auth0/auth0-react' }], patterns: { auth: 'Auth0' } },
+  { id: 'clerk', signals: [{ dep: '@clerk/nextjs' }, { dep: '@clerk/clerk-react' }], patterns: { auth: 'Clerk' } },
+  { id: 'next-auth', signals: [{ dep: 'next-auth' }], patterns: { auth: 'NextAuth.js' } },
+  { id: 'passport', signals: [{ dep: 'passport' }], patterns: { auth: 'Passport.js' } },
+  { id: 'keycloak', signals: [{ dep: 'keycloak' }, { dep: 'keycloak-js' }], patterns: { auth: 'Keycloak' } },
+  { id: 'prisma', signals: [{ dep: 'prisma' }, { dep: '@prisma/client' }, { file: 'prisma/schema.prisma' }], patterns: { dataManagement: 'Prisma' } },
+  { id: 'mongoose', signals: [{ dep: 'mongoose' }], patterns: { dataManagement: 'MongoDB (Mongoose)' } },
+  { id: 'sequelize', signals: [{ dep: 'sequelize' }], patterns: { dataManagement: 'SQL (Sequelize)' } },
+  { id: 'typeorm', signals: [{ dep: 'typeorm' }], patterns: { dataManagement: 'TypeORM' } },
+  { id: 'react-query', signals: [{ dep: '@tanstack/react-query' }], patterns: { dataManagement: 'React Query' } },
+  { id: 'apollo', signals: [{ dep: 'apollo' }, { dep: '@apollo/client' }], patterns: { dataManagement: 'Apollo GraphQL' } },
+  { id: 'swr', signals: [{ dep: 'swr' }], patterns: { dataManagement: 'SWR' } },
+  // UI libraries
+  {
+    id: 'tailwind',
+    signals: [{ dep: 'tailwindcss' }, { config: 'tailwind.config.js', weight: 0.3 }, { config: 'tailwind.config.ts', weight: 0.3 }],
+    patterns: { ui: 'Tailwind CSS' }
+  },
+  { id: 'mui', signals: [{ dep: '@mui/material' }, { dep: '@material-ui/core' }], patterns: { ui: 'Material UI' } },
+  { id: 'chakra', signals: [{ dep: '@chakra-ui/react' }], patterns: { ui: 'Chakra UI' } },
+  { id: 'bootstrap', signals: [{ dep: 'bootstrap' }, { dep: 'react-bootstrap' }], patterns: { ui: 'Bootstrap' } },
+  { id: 'styled-components', signals: [{ dep: 'styled-components' }], patterns: { ui: 'Styled Components' } },
+  { id: 'emotion', signals: [{ dep: '@emotion/react' }], patterns: { ui: 'Emotion' } },
+  { id: 'radix', signals: [{ dep: '@radix-ui/react-dialog' }], patterns: { ui: 'Radix UI' } },
+  { id: 'mantine', signals: [{ dep: '@mantine/core' }], patterns: { ui: 'Mantine UI' } },
+  { id: 'headlessui', signals: [{ dep: '@headlessui/react' }], patterns: { ui: 'Headless UI' } }
+];
+
+// Files marking a project in another language, which gets no package.json unless
+// --package-json is passed. Python projects are also marked by requirements files.
+const ECOSYSTEMS = [
+  { id: 'python', name: 'Python', manifests: ['pyproject.toml', 'Pipfile', 'setup.py', 'setup.cfg'] },
+  { id: 'go', name: 'Go', manifests: ['go.mod', 'go.work'] },
+  { id: 'rust', name: 'Rust', manifests: ['Cargo.toml'] },
+  { id: 'java', name: 'Java', manifests: ['pom.xml', 'build.gradle', 'build.gradle.kts'] },
+  { id: 'ruby', name: 'Ruby', manifests: ['Gemfile'] },
+  { id: 'php', name: 'PHP', manifests: ['composer.json'] },
+  { id: 'dotnet', name: '.NET', extensions: ['.sln', '.csproj', '.fsproj'] }
+];
+
+// Package manager commands, detected from `packageManager` in package.json or lockfiles
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    init: 'npm init -y',
+    addDev: 'npm install --save-dev',
+    remove: 'npm uninstall',
+    workspaceRootFlag: null,
+    // Never fall back to downloading a missing binary by its unscoped name from the registry
+    exec: ['npx', '--no-install'],
+    run: 'npm run'
+  },
+  pnpm: {
+    lockfiles: ['pnpm-lock.yaml'],
+    init: 'pnpm init',
+    addDev: 'pnpm add --save-dev',
+    remove: 'pnpm remove',
+    workspaceRootFlag: '--workspace-root',
+    exec: ['pnpm', 'exec'],
+    run: 'pnpm run'
+  },
+  yarn: {
+    lockfiles: ['yarn.lock'],
+    init: 'yarn init -y',
+    addDev: 'yarn add --dev',
+    remove: 'yarn remove',
+    // Yarn 2+ installs into the workspace root without a flag
+    workspaceRootFlag: '--ignore-workspace-root-check',
+    exec: ['yarn'],
+    run: 'yarn run'
+  },
+  bun: {
+    lockfiles: ['bun.lock', 'bun.lockb'],
+    init: 'bun init -y',
+    addDev: 'bun add --dev',
+    remove: 'bun remove',
+    workspaceRootFlag: null,
+    exec: ['bunx', '--no-install'],
+    run: 'bun run'
+  }
+};
+
+// Installable MCP servers, selected with --servers (the memory server is always included)
+const SERVER_CATALOG = {
+  memory: {
+    description: 'Persistent memory stored in the project',
+    install: { type: 'npm', package: '@modelcontextprotocol/server-memory' },
+    requiredEnv: [],
+    config: context => (context.transport === 'stdio'
+      ? {
+        // Run from node_modules through the project's package manager, or through npx
+        ...context.npm('@modelcontextprotocol/server-memory', 'mcp-server-memory'),
+        env: {
+          MEMORY_FILE_PATH: context.memoryFilePath
+        }
+      }
+      : { url: getServerUrl() })
+  },
+  filesystem: {
+    description: 'Read and write files inside the project directory',
+    install: { type: 'npm', package: '@modelcontextprotocol/server-filesystem' },
+    requiredEnv: [],
+    config: context => context.npm('@modelcontextprotocol/server-filesystem', 'mcp-server-filesystem', [context.projectDir])
+  },
+  'sequential-thinking': {
+    description: 'Structured step-by-step problem solving',
+    install: { type: 'npm', package: '@modelcontextprotocol/server-sequential-thinking' },
+    requiredEnv: [],
+    config: context => context.npm('@modelcontextprotocol/server-sequential-thinking', 'mcp-server-sequential-thinking')
+  },
+  git: {
+    description: 'Read and search the project git repository',
+    install: { type: 'python', package: 'mcp-server-git' },
+    requiredEnv: [],
+    config: context => context.python('mcp-server-git', ['--repository', context.projectDir])
+  },
+  fetch: {
+    description: 'Fetch web pages and convert them to markdown',
+    install: { type: 'python', package: 'mcp-server-fetch' },
+    requiredEnv: [],
+    config: context => context.python('mcp-server-fetch')
+  },
+  sqlite: {
+    description: 'Query a SQLite database (set SQLITE_DB_PATH)',
+    install: { type: 'python', package: 'mcp-server-sqlite' },
+    requiredEnv: ['SQLITE_DB_PATH'],
+    config: context => context.python('mcp-server-sqlite', ['--db-path', context.env('SQLITE_DB_PATH')])
+  }
+};
+
+// MCP clients setup can configure, selected with --client. Each one lists its
+// project and user-level configuration files, the key its servers live under,
+// and how a server entry is written in (format) and read back from (parse) its schema.
+const CLIENTS = {
+  cursor: {
+    name: 'Cursor',
+    project: '.cursor/mcp.json',
+    global: () => path.join(os.homedir(), '.cursor', 'mcp.json'),
+    serversKey: 'mcpServers',
+    urls: true,
+    format: entry => entry,
+    parse: entry => entry
+  },
+  'claude-desktop': {
+    name: 'Claude Desktop',
+    project: null,
+    global: () => path.join(getAppConfigDir('Claude'), 'claude_desktop_config.json'),
+    serversKey: 'mcpServers',
+    // Only launches local stdio servers from its configuration file
+    urls: false,
+    format: entry => entry,
+    parse: entry => entry
+  },
+  vscode: {
+    name: 'VS Code',
+    project: '.vscode/mcp.json',
+    global: () => path.join(getAppConfigDir('Code'), 'User', 'mcp.json'),
+    serversKey: 'servers',
+    urls: true,
+    format: entry => (entry.url
+      ? { type: entry.url.endsWith('/sse') ? 'sse' : 'http', url: entry.url }
+      : { type: 'stdio', ...entry }),
+    parse: entry => entry
+  },
+  windsurf: {
+    name: 'Windsurf',
+    project: null,
+    global: () => path.join(os.homedir(), '.codeium', 'windsurf', 'mcp_config.json'),
+    serversKey: 'mcpServers',
+    urls: true,
+    format: entry => (entry.url ? { serverUrl: entry.url } : entry),
+    parse: entry => (entry.serverUrl ? { ...entry, url: entry.serverUrl } : entry)
+  },
+  zed: {
+    name: 'Zed',
+    project: null,
+    global: () => (os.platform() === 'win32'
+      ? path.join(getAppConfigDir('Zed'), 'settings.json')
+      : path.join(os.homedir(), '.config', 'zed', 'settings.json')),
+    serversKey: 'context_servers',
+    // settings.json has comments, which are kept: only the servers setup changes are rewritten
+    jsonc: true,
+    urls: true,
+    format: entry => (entry.url ? { url: entry.url } : { source: 'custom', ...entry }),
+    // Older Zed versions nest the command as { path, args, env }
+    parse: entry => (entry.command && typeof entry.command === 'object'
+      ? { command: entry.command.path, args: entry.command.args, env: entry.command.env }
+      : entry)
+  }
+};
+
+// Runtime state shared by the setup steps (set from command-line flags)
+const runtime = {
+  dryRun: false,
+  skipInstall: false,
+  yes: false,
+  scope: 'project',
+  onConflict: 'ask',
+  clients: [],
+  servers: [],
+  projectConfig: {},
+  packageManager: null,
+  packageJson: false,
+  ecosystem: null,
+  pythonRunner: null,
+  keepMemory: false,
+  convertTo: null,
+  manifest: undefined,
+  manifestChanged: false,
+  plan: [],
+  files: new Map(),
+  dirs: new Set()
+};
+
 /**
  * Main setup function
  */
@@ -33,8 +1211,13 @@ async function setupMCP() {
   console.log('\n🚀 Starting MCP Setup Process...\n');
   
   try {
-    // Step 1: Install MCP Memory Server locally
-    await installMCPServer();
+    // Step 1: Install MCP servers locally
+    checkRequiredEnv();
+    if (runtime.skipInstall) {
+      console.log('📦 Skipping MCP server installation (--skip-install)');
+    } else {
+      await installMCPServer();
+    }
     
     // Step 2: Analyze project structure with enhanced detection
     const projectInfo = analyzeProject();
@@ -43,11 +1226,11 @@ async function setupMCP() {
     // Step 3: Create project directories
     createDirectories();
     
-    // Step 4: Configure Cursor
-    configureCursor();
+    // Step 4: Configure the MCP clients
+    configureClients(projectInfo);
     
     // Step 5: Generate project rules
-    generateRules(projectInfo);
+    await generateRules(projectInfo);
     
     // Step 6: Extract project context from documentation
     const projectContext = extractProjectContext();
@@ -58,1223 +1241,6802 @@ async function setupMCP() {
     // Step 8: Create memory management utilities
     createMemoryUtilities();
     
-    // Step 9: Create Cursor workspace settings
+    // Step 9: Register package.json scripts for the server and utilities
+    registerScripts();
+    
+    // Step 10: Create Cursor workspace settings
     createCursorWorkspaceSettings();
     
-    // Step 10: Verification step
+    // Dry runs stop here, the planned actions are summarized by the caller
+    if (runtime.dryRun) {
+      return;
+    }
+    
+    // Step 11: Verification step
     performVerification();
     
     // Success message with progress report
+    const steps = [`Restart ${runtime.clients.map(client => client.name).join(', ')}`, 'Open your project', 'Start coding with persistent AI assistance'];
+    if (CONFIG.mcpTransport !== 'stdio') {
+      steps.unshift(`Start the MCP server with \`${getUtilityCommand('mcp')}\` and keep it running, Cursor connects to ${getServerUrl()}`);
+    }
     console.log('\n🎉 MCP Setup Complete!');
     console.log('\n📋 Next Steps:');
-    console.log('  1. Restart Cursor IDE');
-    console.log('  2. Open your project');
-    console.log('  3. Start coding with persistent AI assistance');
+    steps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
     console.log('\n💡 Try using the memory utilities:');
-    console.log('  - Run `npm run mcp` to start the MCP server');
-    console.log('  - Run `npm run mcp:backup` to create a backup of your memory file\n');
+    console.log(`  - Run \`${getUtilityCommand('mcp:backup')}\` to create a backup of your memory file`);
+    console.log(`  - Run \`${getUtilityCommand('mcp:explore')}\` to browse and edit your memories\n`);
   } catch (error) {
     console.error('\n❌ Setup Failed:', error.message);
     console.log('\nPlease try manually following the steps in the documentation.');
-  } finally {
-    rl.close();
+    process.exitCode = 1;
   }
 }
 
 /**
- * Install MCP Memory Server locally as a dev dependency
+ * Regenerate the project rules without touching anything else
  */
-async function installMCPServer() {
-  console.log('📦 Installing MCP Memory Server locally...');
+async function runRulesCommand() {
+  const projectInfo = analyzeProject();
+  console.log(`\n✅ Project analyzed: ${projectInfo.name} (${projectInfo.type})`);
   
-  try {
-    // Check if package.json exists
-    if (!fs.existsSync('package.json')) {
-      console.log('  ⚠️ No package.json found, creating one...');
-      execSync('npm init -y', { stdio: 'ignore' });
+  if (!pathExists(CONFIG.rulesDirName)) {
+    makeDir(CONFIG.rulesDirName);
+  }
+  await generateRules(projectInfo);
+}
+
+/**
+ * List the rule templates and where each one is loaded from
+ */
+async function runTemplatesCommand() {
+  const names = new Set([...Object.keys(RULE_TEMPLATES), ...findTemplateFiles().map(file => file.name)]);
+  console.log('🧩 Rule templates:');
+  for (const name of names) {
+    const template = loadTemplate(name);
+    console.log(`  ${name.padEnd(24)}${template.path ? `${template.source}: ${template.path}` : 'built-in'}`);
+  }
+  console.log(`\n💡 Templates in ${getTemplateDirs().map(({ dir }) => dir).join(' and then ')} replace the built-in ones of the same name`);
+}
+
+/**
+ * Copy the built-in rule templates to the project's template directory to
+ * customize them, keeping the templates already there
+ */
+async function runTemplatesEjectCommand() {
+  const { dir } = getTemplateDirs()[0];
+  console.log(`🧩 Copying the built-in rule templates to ${dir}...`);
+  
+  if (!pathExists(dir)) {
+    makeDir(dir);
+  }
+  for (const [name, text] of Object.entries(RULE_TEMPLATES)) {
+    const filePath = path.join(dir, `${name}.md`);
+    if (pathExists(filePath)) {
+      console.log(`  ✓ Kept existing template: ${filePath}`);
+      continue;
     }
-    
-    // Install as dev dependency
-    execSync('npm install --save-dev @modelcontextprotocol/server-memory', { 
-      stdio: ['inherit', 'inherit', 'inherit'] 
-    });
-    console.log('  ✓ MCP Memory Server installed as local dev dependency');
-    
-    // Update package.json to add scripts
-    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-    if (!packageJson.scripts) packageJson.scripts = {};
-    packageJson.scripts.mcp = `modelcontextprotocol-memory-server --port ${CONFIG.mcpPort}`;
-    fs.writeFileSync('package.json', JSON.stringify(packageJson, null, 2));
-    console.log('  ✓ Added MCP script to package.json');
-  } catch (error) {
-    throw new Error(`Failed to install MCP Memory Server: ${error.message}`);
+    // Not recorded in the manifest, so uninstalling keeps customized templates
+    writeText(filePath, text, { track: false });
+    logDone(`  ✓ Created template: ${filePath}`);
   }
+  console.log('\n💡 Delete the templates you do not customize so they keep following the built-in ones');
 }
 
 /**
- * Analyze the project structure to determine type, frameworks, etc.
- * with enhanced detection capabilities
+ * Create or update the memory file and memory utilities
  */
-function analyzeProject() {
-  console.log('🔍 Analyzing project structure...');
+async function runMemoryCommand() {
+  const projectInfo = analyzeProject();
   
-  const projectInfo = {
-    name: path.basename(process.cwd()),
-    type: 'unknown',
-    frameworks: [],
-    patterns: {
-      auth: null,
-      dataManagement: null,
-      ui: null
-    },
-    testing: [],
-    config: [],
-    isMonorepo: false,
-    repoRoot: null
-  };
+  createDirectories();
+  createMemoryFile(projectInfo, extractProjectContext());
+  createMemoryUtilities();
+}
+
+/**
+ * Convert the memory file between the knowledge graph and the legacy entries format
+ */
+async function runMemoryConvertCommand() {
+  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  if (!pathExists(memoryPath)) {
+    throw new Error(`Memory file not found: ${memoryPath}`);
+  }
   
-  // Check for git repository
-  if (fs.existsSync('.git')) {
-    projectInfo.repoRoot = process.cwd();
+  const previous = readText(memoryPath);
+  let memory;
+  try {
+    memory = parseMemory(previous);
+  } catch (error) {
+    throw new Error(`Could not read ${memoryPath}: ${error.message}`);
+  }
+  const isGraph = Array.isArray(memory.entities);
+  const target = runtime.convertTo || (isGraph ? 'entries' : 'graph');
+  if ((target === 'graph') === isGraph) {
+    console.log(`  ✓ ${memoryPath} is already in the ${target} format`);
+    return;
+  }
+  
+  let content;
+  let losses;
+  if (isGraph) {
+    let legacy;
+    ({ memory: legacy, losses } = graphToEntries(memory));
+    content = JSON.stringify(legacy, null, 2);
   } else {
-    // Try to find git repository in parent directories
-    let currentDir = process.cwd();
-    while (currentDir !== path.parse(currentDir).root) {
-      if (fs.existsSync(path.join(currentDir, '.git'))) {
-        projectInfo.repoRoot = currentDir;
-        break;
-      }
-      currentDir = path.dirname(currentDir);
+    if (!Array.isArray(memory.entries)) {
+      throw new Error(`Could not read ${memoryPath}: expected an entries list`);
     }
+    let graph;
+    ({ graph, losses } = entriesToGraph(memory.entries));
+    content = serializeMemory(graph);
   }
   
-  // Check if it's a monorepo by looking for common indicators
-  if (fs.existsSync('lerna.json') || 
-      fs.existsSync('pnpm-workspace.yaml') || 
-      (fs.existsSync('package.json') && 
-       JSON.parse(fs.readFileSync('package.json', 'utf8')).workspaces)) {
-    projectInfo.isMonorepo = true;
-  }
+  backupMemoryFile(previous);
+  writeText(memoryPath, content);
+  logDone(`  ✓ Converted ${memoryPath} to the ${target} format`);
   
-  // Check for configuration files
-  const configFiles = [
-    '.eslintrc.js', '.eslintrc.json', '.eslintrc', 
-    'tsconfig.json', 'babel.config.js', 'jest.config.js',
-    '.prettierrc', '.prettierrc.js', '.stylelintrc',
-    'vite.config.js', 'vite.config.ts', 'webpack.config.js',
-    'next.config.js', 'nuxt.config.js', 'angular.json',
-    '.env', '.env.local', '.env.development'
-  ];
+  if (losses.length > 0) {
+    console.log('  ⚠️ The conversion was lossy:');
+    losses.forEach(loss => console.log(`    - ${loss}`));
+  } else {
+    console.log('  ✓ Nothing was lost in the conversion');
+  }
+  if (target === 'entries') {
+    console.log('  ⚠️ The memory server cannot read the entries format, and setup migrates it back to a knowledge graph on its next run');
+  }
+}
+
+/**
+ * Verify an existing setup
+ */
+async function runVerifyCommand() {
+  if (!performVerification()) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Diagnose common problems with the environment and an existing setup
+ */
+async function runDoctorCommand() {
+  console.log('🩺 Checking environment...');
+  let healthy = true;
   
-  for (const file of configFiles) {
-    if (fs.existsSync(file)) {
-      projectInfo.config.push(file);
-    }
+  const nodeMajor = Number(process.versions.node.split('.')[0]);
+  if (nodeMajor >= 18) {
+    console.log(`  ✓ Node.js ${process.versions.node}`);
+  } else {
+    console.log(`  ⚠️ Node.js ${process.versions.node} is too old, the MCP Memory Server needs Node.js 18 or newer`);
+    healthy = false;
   }
   
-  // Check package.json for JS/TS projects
-  if (fs.existsSync('package.json')) {
-    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-    projectInfo.name = packageJson.name || projectInfo.name;
-    
-    // Determine project type and frameworks
-    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-    
-    // Testing frameworks
-    if (deps.jest) projectInfo.testing.push('Jest');
-    if (deps.mocha) projectInfo.testing.push('Mocha');
-    if (deps.chai) projectInfo.testing.push('Chai');
-    if (deps.cypress) projectInfo.testing.push('Cypress');
-    if (deps['@testing-library/react']) projectInfo.testing.push('React Testing Library');
-    if (deps['@testing-library/vue']) projectInfo.testing.push('Vue Testing Library');
+  if (getEcosystem() !== 'node') {
+    if (commandExists('npx')) {
+      console.log(`  ✓ npx is available for Node.js servers (no package.json in this ${getEcosystemName()} project)`);
+    } else {
+      console.log('  ⚠️ npx is not available on the PATH, install Node.js with npm');
+      healthy = false;
+    }
+  } else {
+    const packageManager = getPackageManager();
+    try {
+      const version = execSync(`${packageManager.name} --version`, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+      console.log(`  ✓ ${packageManager.name} ${version} (detected from ${packageManager.source})`);
+    } catch (error) {
+      console.log(`  ⚠️ ${packageManager.name} is not available on the PATH (detected from ${packageManager.source})`);
+      healthy = false;
+    }
     
-    if (deps.react) {
-      projectInfo.frameworks.push('React');
-      if (deps.next) {
-        projectInfo.type = 'Next.js';
-        projectInfo.frameworks.push('Next.js');
-      } else if (deps['react-native']) {
-        projectInfo.type = 'React Native';
-        projectInfo.frameworks.push('React Native');
+    for (const packageName of getServerPackages('npm')) {
+      if (fs.existsSync(path.join('node_modules', packageName))) {
+        console.log(`  ✓ ${packageName} is installed in node_modules`);
       } else {
-        projectInfo.type = 'React';
-      }
-    } else if (deps.vue) {
-      projectInfo.type = 'Vue';
-      projectInfo.frameworks.push('Vue');
-      if (deps.nuxt) {
-        projectInfo.frameworks.push('Nuxt.js');
+        console.log(`  ⚠️ ${packageName} is not installed, run \`node setup-mcp.js init\``);
+        healthy = false;
       }
-    } else if (deps.angular) {
-      projectInfo.type = 'Angular';
-      projectInfo.frameworks.push('Angular');
-    } else if (deps.svelte) {
-      projectInfo.type = 'Svelte';
-      projectInfo.frameworks.push('Svelte');
-    } else if (deps.express || deps.koa || deps.hapi || deps.fastify) {
-      projectInfo.type = 'Node.js';
-      if (deps.express) projectInfo.frameworks.push('Express');
-      if (deps.koa) projectInfo.frameworks.push('Koa');
-      if (deps.hapi) projectInfo.frameworks.push('Hapi');
-      if (deps.fastify) projectInfo.frameworks.push('Fastify');
     }
-    
-    // State management
-    if (deps.redux || deps['@reduxjs/toolkit']) {
-      projectInfo.frameworks.push('Redux');
-    }
-    if (deps.mobx) {
-      projectInfo.frameworks.push('MobX');
-    }
-    if (deps.zustand) {
-      projectInfo.frameworks.push('Zustand');
+  }
+  
+  if (getServerPackages('python').length > 0) {
+    const runner = getPythonRunner();
+    if (runner.missing) {
+      console.log('  ⚠️ Neither uvx nor pipx is available on the PATH and there is no .venv, install uv (https://docs.astral.sh/uv/)');
+      healthy = false;
+    } else if (runner.name === 'venv') {
+      console.log(`  ✓ Python servers run from the ${runner.venv} virtual environment`);
+    } else {
+      console.log(`  ✓ ${runner.name} is available for Python servers`);
     }
-    if (deps.jotai) {
-      projectInfo.frameworks.push('Jotai');
+  }
+  
+  for (const server of runtime.servers) {
+    for (const name of server.requiredEnv) {
+      if (!process.env[name]) {
+        console.log(`  ⚠️ ${name} is not set (required by ${server.name})`);
+        healthy = false;
+      }
     }
-    if (deps.recoil) {
-      projectInfo.frameworks.push('Recoil');
+  }
+  
+  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  if (fs.existsSync(memoryPath)) {
+    try {
+      const memory = parseMemory(fs.readFileSync(memoryPath, 'utf8'));
+      if (memory.version === MEMORY_SCHEMA_VERSION) {
+        console.log(`  ✓ ${memoryPath} is a valid knowledge graph`);
+      } else {
+        console.log(`  ⚠️ ${memoryPath} uses the legacy entries format, run the memory command to migrate it`);
+        healthy = false;
+      }
+    } catch (error) {
+      console.log(`  ⚠️ ${memoryPath} is not a valid memory file: ${error.message}`);
+      healthy = false;
     }
-    
-    // Identify auth patterns
-    if (deps.firebase || deps['firebase-admin']) {
-      projectInfo.frameworks.push('Firebase');
-      projectInfo.patterns.auth = 'Firebase Authentication';
-    } else if (deps.auth0) {
-      projectInfo.patterns.auth = 'Auth0';
-    } else if (deps['@clerk/nextjs'] || deps['@clerk/clerk-react']) {
-      projectInfo.patterns.auth = 'Clerk';
-    } else if (deps['next-auth']) {
-      projectInfo.patterns.auth = 'NextAuth.js';
-    } else if (deps.passport) {
-      projectInfo.patterns.auth = 'Passport.js';
-    } else if (deps.keycloak) {
-      projectInfo.patterns.auth = 'Keycloak';
+  }
+  
+  for (const { client, configPath } of getClientTargets()) {
+    if (!fs.existsSync(configPath)) continue;
+    const format = client.jsonc ? 'JSON with comments' : 'JSON';
+    try {
+      parseClientConfig(client, fs.readFileSync(configPath, 'utf8'));
+      console.log(`  ✓ ${configPath} is valid ${format}`);
+    } catch (error) {
+      console.log(`  ⚠️ ${configPath} is not valid ${format}: ${error.message}`);
+      healthy = false;
     }
-    
-    // Identify data management patterns
-    if (deps.firebase || deps['firebase-admin']) {
-      projectInfo.patterns.dataManagement = 'Firebase Firestore';
-    } else if (deps.prisma) {
-      projectInfo.patterns.dataManagement = 'Prisma';
-    } else if (deps.mongoose) {
-      projectInfo.patterns.dataManagement = 'MongoDB (Mongoose)';
-    } else if (deps.sequelize) {
-      projectInfo.patterns.dataManagement = 'SQL (Sequelize)';
-    } else if (deps.typeorm) {
-      projectInfo.patterns.dataManagement = 'TypeORM';
-    } else if (deps['@prisma/client']) {
-      projectInfo.patterns.dataManagement = 'Prisma';
-    } else if (deps['@tanstack/react-query']) {
-      projectInfo.patterns.dataManagement = 'React Query';
-    } else if (deps.apollo || deps['@apollo/client']) {
-      projectInfo.patterns.dataManagement = 'Apollo GraphQL';
-    } else if (deps.swr) {
-      projectInfo.patterns.dataManagement = 'SWR';
+  }
+  
+  for (const file of findTemplateFiles()) {
+    try {
+      const nodes = parseTemplate({ ...file, text: fs.readFileSync(file.path, 'utf8') });
+      const missing = getTemplatePartials(nodes).find(partial => !loadTemplate(partial.name));
+      if (missing) {
+        throw new Error(`${missing.location}: unknown partial ${missing.name}`);
+      }
+      console.log(`  ✓ ${file.path} is a valid ${file.source} template`);
+    } catch (error) {
+      console.log(`  ⚠️ Invalid template ${error.message}`);
+      healthy = false;
     }
-    
-    // Identify UI patterns
-    if (deps.tailwindcss) {
-      projectInfo.patterns.ui = 'Tailwind CSS';
-    } else if (deps['@mui/material'] || deps['@material-ui/core']) {
-      projectInfo.patterns.ui = 'Material UI';
-    } else if (deps['@chakra-ui/react']) {
-      projectInfo.patterns.ui = 'Chakra UI';
-    } else if (deps.bootstrap || deps['react-bootstrap']) {
-      projectInfo.patterns.ui = 'Bootstrap';
-    } else if (deps['styled-components']) {
-      projectInfo.patterns.ui = 'Styled Components';
-    } else if (deps['@emotion/react']) {
-      projectInfo.patterns.ui = 'Emotion';
-    } else if (deps['@radix-ui/react-dialog']) {
-      projectInfo.patterns.ui = 'Radix UI';
-    } else if (deps['@mantine/core']) {
-      projectInfo.patterns.ui = 'Mantine UI';
-    } else if (deps['@headlessui/react']) {
-      projectInfo.patterns.ui = 'Headless UI';
-    }
-  } 
-  // Python project detection
-  else if (fs.existsSync('requirements.txt') || fs.existsSync('Pipfile') || fs.existsSync('pyproject.toml')) {
-    projectInfo.type = 'Python';
-    
-    // Check for Django or Flask
-    if (fs.existsSync('manage.py') || fs.existsSync('django_project')) {
-      projectInfo.frameworks.push('Django');
-    } else if (fs.existsSync('app.py') || fs.readdirSync('.').some(f => fs.existsSync(f) && fs.statSync(f).isFile() && path.extname(f) === '.py' && fs.readFileSync(f, 'utf8').includes('Flask(__name__'))) {
-      projectInfo.frameworks.push('Flask');
-    } else if (fs.existsSync('fastapi') || fs.readdirSync('.').some(f => fs.existsSync(f) && fs.statSync(f).isFile() && path.extname(f) === '.py' && fs.readFileSync(f, 'utf8').includes('FastAPI('))) {
-      projectInfo.frameworks.push('FastAPI');
+  }
+  
+  const verified = performVerification();
+  const launched = await performLaunchChecks();
+  if (!verified || !launched || !healthy) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Launch every configured server the way Cursor does and check it speaks MCP
+ */
+async function performLaunchChecks() {
+  console.log('🚦 Launching MCP servers...');
+  let passed = true;
+  let launcherChecked = false;
+  
+  for (const target of getClientTargets()) {
+    let config;
+    try {
+      config = parseClientConfig(target.client, fs.readFileSync(target.configPath, 'utf8'));
+    } catch (error) {
+      // Already reported by the verification
+      continue;
     }
     
-    // Check for testing frameworks
-    if (fs.existsSync('pytest.ini') || fs.existsSync('conftest.py')) {
-      projectInfo.testing.push('pytest');
-    }
-    if (fs.existsSync('unittest') || fs.readdirSync('.').some(f => fs.existsSync(f) && fs.statSync(f).isFile() && path.extname(f) === '.py' && fs.readFileSync(f, 'utf8').includes('unittest.TestCase'))) {
-      projectInfo.testing.push('unittest');
+    for (const server of runtime.servers) {
+      const serverName = findConfiguredServerName(config, server, target);
+      if (!serverName) continue;
+      const label = `${serverName} (${target.client.name} ${target.scope})`;
+      const entry = target.client.parse(config[target.client.serversKey][serverName] || {});
+      if (!await checkServerLaunch(label, entry)) {
+        passed = false;
+      }
+      
+      // Behind the proxy, launch the server the way the `mcp` script does
+      if (server.name === 'memory' && entry.url && !launcherChecked) {
+        launcherChecked = true;
+        const launcher = {
+          command: process.execPath,
+          args: [path.resolve(CONFIG.memoryDirName, 'serve-memory.js'), '--transport', 'stdio'],
+          env: { MEMORY_FILE_PATH: path.resolve(CONFIG.memoryDirName, CONFIG.memoryFileName) }
+        };
+        if (!await checkServerLaunch(`${serverName} (serve-memory.js)`, launcher)) {
+          passed = false;
+        }
+      }
     }
   }
   
-  // Analyze directory structure for deeper understanding
-  try {
-    const topLevelDirs = fs.readdirSync('.').filter(f => fs.statSync(f).isDirectory());
-    
-    // Check for typical directories
-    if (topLevelDirs.includes('src')) projectInfo.hasSourceDir = true;
-    if (topLevelDirs.includes('tests') || topLevelDirs.includes('__tests__')) projectInfo.hasTestsDir = true;
-    if (topLevelDirs.includes('docs')) projectInfo.hasDocsDir = true;
-    if (topLevelDirs.includes('scripts')) projectInfo.hasScriptsDir = true;
-    
-    // Look for component patterns in React/Next.js projects
-    if (projectInfo.type === 'React' || projectInfo.type === 'Next.js') {
-      const componentPatterns = {
-        atomic: ['atoms', 'molecules', 'organisms', 'templates'].every(dir => 
-          findDir('.', dir)),
-        featureBased: findDir('.', 'features'),
-        pageBased: findDir('.', 'pages')
-      };
-      
-      if (componentPatterns.atomic) {
-        projectInfo.componentPattern = 'Atomic Design';
-      } else if (componentPatterns.featureBased) {
-        projectInfo.componentPattern = 'Feature-based';
-      } else if (componentPatterns.pageBased) {
-        projectInfo.componentPattern = 'Page-based';
-      }
-    }
-  } catch (e) {
-    // Ignore directory reading errors
-  }
-  
-  return projectInfo;
+  return passed;
 }
 
 /**
- * Helper function to find a directory recursively
+ * Start one configured server, perform the MCP handshake and list its tools.
+ * Servers with a memory file also get a write/read round trip against a temporary file.
  */
-function findDir(baseDir, targetDir, maxDepth = 3) {
-  if (maxDepth <= 0) return false;
+async function checkServerLaunch(label, entry) {
+  if (typeof entry.url === 'string' && !entry.command) {
+    return checkServerUrl(label, entry.url);
+  }
+  if (typeof entry.command !== 'string' || !entry.command) {
+    console.log(`  ⚠️ ${label}: unsupported transport, the entry has neither a command nor a URL`);
+    return false;
+  }
   
+  let launch;
   try {
-    const entries = fs.readdirSync(baseDir);
+    launch = resolveLaunchConfig(entry);
+  } catch (error) {
+    console.log(`  ⚠️ ${label}: ${error.message}`);
+    return false;
+  }
+  
+  // Never touch the real memory file, point the server at a scratch copy instead
+  let tempDir = null;
+  if (launch.env.MEMORY_FILE_PATH) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-doctor-'));
+    launch.env.MEMORY_FILE_PATH = path.join(tempDir, 'memory.json');
+  }
+  
+  const client = startMcpClient(launch);
+  try {
+    const initialized = await client.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'setup-mcp doctor', version: '1.0.0' }
+    });
+    client.notify('notifications/initialized');
+    const info = initialized && initialized.serverInfo ? `${initialized.serverInfo.name} ${initialized.serverInfo.version}` : 'server';
     
-    // Check if current level has the target directory
-    if (entries.includes(targetDir) && 
-        fs.statSync(path.join(baseDir, targetDir)).isDirectory()) {
-      return true;
-    }
+    const { tools = [] } = await client.request('tools/list', {}) || {};
+    const toolNames = tools.map(tool => tool.name);
+    console.log(`  ✓ ${label} started (${info}) with ${toolNames.length} tools: ${toolNames.join(', ') || 'none'}`);
     
-    // Check subdirectories
-    for (const entry of entries) {
-      const fullPath = path.join(baseDir, entry);
-      if (fs.statSync(fullPath).isDirectory() && 
-          !entry.startsWith('.') && 
-          entry !== 'node_modules') {
-        if (findDir(fullPath, targetDir, maxDepth - 1)) {
-          return true;
-        }
-      }
+    if (tempDir) {
+      await checkMemoryRoundTrip(client, toolNames, launch.env.MEMORY_FILE_PATH);
+      console.log(`  ✓ ${label} wrote and read back an entity in a temporary memory file`);
     }
-  } catch (e) {
-    // Ignore errors
+    return true;
+  } catch (error) {
+    console.log(`  ⚠️ ${label}: ${error.message}`);
+    return false;
+  } finally {
+    await client.close();
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Check that a server configured with a URL is listening
+ */
+function checkServerUrl(label, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    console.log(`  ⚠️ ${label}: ${url} is not a valid URL`);
+    return Promise.resolve(false);
   }
+  const isLocal = ['127.0.0.1', 'localhost', '[::1]'].includes(parsed.hostname);
+  const startHint = isLocal ? `, start it with \`${getUtilityCommand('mcp')}\`` : '';
   
-  return false;
+  return new Promise(resolve => {
+    let answered = false;
+    const client = parsed.protocol === 'https:' ? https : http;
+    const request = client.get(parsed, { headers: { Accept: 'text/event-stream, application/json' } }, response => {
+      // An SSE stream stays open, the status line is all that is needed
+      answered = true;
+      response.destroy();
+      if (response.statusCode === 404) {
+        console.log(`  ⚠️ ${label}: wrong path: ${url} answered 404, check the URL path (/sse or /mcp)`);
+        resolve(false);
+      } else {
+        console.log(`  ✓ ${label} is listening at ${url} (HTTP ${response.statusCode})`);
+        resolve(true);
+      }
+    });
+    request.setTimeout(LAUNCH_TIMEOUT_MS, () => request.destroy(new Error(`no answer within ${LAUNCH_TIMEOUT_MS / 1000}s`)));
+    request.on('error', error => {
+      if (answered) return;
+      const reason = error.code === 'ECONNREFUSED' ? 'nothing is listening' : error.message;
+      console.log(`  ⚠️ ${label}: ${url} is not reachable (${reason})${startHint}`);
+      resolve(false);
+    });
+  });
 }
 
 /**
- * Extract useful context from project documentation
+ * Resolve the variables Cursor substitutes in a server entry and check the
+ * command, environment and paths before anything is started
  */
-function extractProjectContext() {
-  console.log('📄 Extracting project context from documentation...');
+function resolveLaunchConfig(entry) {
+  const missingEnv = new Set();
+  const substitute = value => String(value).replace(/\$\{(workspaceFolder|userHome|env:([^}]+))\}/g, (match, name, envName) => {
+    if (name === 'workspaceFolder') return process.cwd();
+    if (name === 'userHome') return os.homedir();
+    if (process.env[envName] === undefined) missingEnv.add(envName);
+    return process.env[envName] || '';
+  });
   
-  let context = "";
+  const launch = {
+    command: substitute(entry.command),
+    args: (Array.isArray(entry.args) ? entry.args : []).map(substitute),
+    env: { ...process.env }
+  };
+  const entryEnv = {};
+  for (const [name, value] of Object.entries(entry.env || {})) {
+    entryEnv[name] = substitute(value);
+  }
+  Object.assign(launch.env, entryEnv);
   
-  // Extract from README
-  if (fs.existsSync('README.md')) {
-    console.log('  ✓ Found README.md, extracting context');
-    const readme = fs.readFileSync('README.md', 'utf8');
-    
-    // Extract project title
-    const titleMatch = readme.match(/^# (.+)$/m);
-    if (titleMatch) {
-      context += `Project title: ${titleMatch[1]}\n\n`;
-    }
-    
-    // Extract project description
-    const descriptionMatch = readme.match(/^# .+\n\n(.+?)(\n\n|$)/m);
-    if (descriptionMatch) {
-      context += `Project description: ${descriptionMatch[1]}\n\n`;
-    }
-    
-    // Add reference to README
-    context += `README.md found in project root.\n`;
+  if (missingEnv.size > 0) {
+    throw new Error(`bad env: ${[...missingEnv].join(', ')} ${missingEnv.size === 1 ? 'is' : 'are'} not set, export ${missingEnv.size === 1 ? 'it' : 'them'} before starting Cursor`);
   }
   
-  // Check for architecture docs
-  const docFiles = ['ARCHITECTURE.md', 'docs/architecture.md', 'DESIGN.md', 'docs/design.md'];
-  for (const file of docFiles) {
-    if (fs.existsSync(file)) {
-      console.log(`  ✓ Found ${file}, adding reference`);
-      context += `Architecture documentation found at ${file}.\n`;
-      break;
+  // Paths may name files the server creates later, so their directory is enough
+  const paths = [
+    ...launch.args.map(value => ({ value, source: 'args' })),
+    ...Object.entries(entryEnv).map(([name, value]) => ({ value, source: name }))
+  ].filter(({ value }) => path.isAbsolute(value));
+  for (const { value, source } of paths) {
+    if (!fs.existsSync(value) && !fs.existsSync(path.dirname(value))) {
+      throw new Error(`wrong path: ${value} (from ${source}) does not exist, re-run setup from the project directory`);
     }
   }
   
-  // Check for contribution guidelines
-  if (fs.existsSync('CONTRIBUTING.md')) {
-    console.log('  ✓ Found CONTRIBUTING.md, adding reference');
-    context += `Contribution guidelines found at CONTRIBUTING.md.\n`;
+  // Package manager exec would try to download a missing binary instead of failing
+  // (without package.json, npx is expected to download the server)
+  const manager = getPackageManager();
+  const [execCommand, ...execArgs] = manager.exec;
+  const usesExec = getEcosystem() === 'node' && launch.command === execCommand && execArgs.every((arg, index) => launch.args[index] === arg);
+  const binary = launch.args[execArgs.length];
+  const pnp = manager.name === 'yarn' && manager.major >= 2;
+  if (usesExec && binary && !pnp && !['', '.cmd'].some(extension => fs.existsSync(path.join('node_modules', '.bin', binary + extension)))) {
+    throw new Error(`missing binary: node_modules/.bin/${binary} does not exist, install the server package or fix the command name`);
   }
   
-  return context || "No detailed project documentation found.";
+  return launch;
 }
 
 /**
- * Create necessary directories
+ * Spawn a server and talk newline-delimited JSON-RPC to it over stdio
  */
-function createDirectories() {
-  console.log('📁 Creating project directories...');
+function startMcpClient({ command, args, env }) {
+  const child = spawn(command, args, {
+    env,
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe'],
+    // npx and friends are .cmd shims on Windows
+    shell: process.platform === 'win32'
+  });
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = '';
+  let stderr = '';
+  let strayOutput = null;
+  let failure = null;
+  let exited = false;
   
-  // Create .mcp directory
-  if (!fs.existsSync(CONFIG.memoryDirName)) {
-    fs.mkdirSync(CONFIG.memoryDirName);
-    console.log(`  ✓ Created ${CONFIG.memoryDirName} directory`);
-  } else {
-    console.log(`  ✓ ${CONFIG.memoryDirName} directory already exists`);
-  }
+  const describeStderr = () => {
+    const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean).slice(-3);
+    return lines.length > 0 ? `:\n${lines.map(line => `     ${line}`).join('\n')}` : '';
+  };
+  const fail = error => {
+    failure = failure || error;
+    for (const request of pending.values()) {
+      request.reject(failure);
+    }
+    pending.clear();
+  };
   
-  // Create .mcp/backups directory for memory backups
-  const backupDir = path.join(CONFIG.memoryDirName, 'backups');
-  if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir);
-    console.log(`  ✓ Created ${backupDir} directory for memory backups`);
-  }
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        strayOutput = strayOutput || line;
+        continue;
+      }
+      const request = pending.get(message.id);
+      if (!request) continue;
+      pending.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(`answered ${request.method} with an error: ${message.error.message} (code ${message.error.code})`));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  });
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-4000);
+  });
+  // The server may exit while a request is being written
+  child.stdin.on('error', () => {});
+  child.on('error', error => {
+    fail(error.code === 'ENOENT'
+      ? new Error(`missing binary: ${command} was not found on the PATH`)
+      : new Error(`could not be started: ${error.message}`));
+  });
+  // 'close' fires after stdout is drained, so a last response is never lost
+  child.on('close', (code, signal) => {
+    exited = true;
+    fail(new Error(`exited (${signal || `code ${code}`}) before finishing the MCP handshake${describeStderr()}`));
+  });
   
-  // Create .cursor/rules directory
-  if (!fs.existsSync(CONFIG.rulesDirName)) {
-    fs.mkdirSync(CONFIG.rulesDirName, { recursive: true });
-    console.log(`  ✓ Created ${CONFIG.rulesDirName} directory`);
-  } else {
-    console.log(`  ✓ ${CONFIG.rulesDirName} directory already exists`);
-  }
+  return {
+    request(method, params) {
+      if (failure) return Promise.reject(failure);
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          const hint = strayOutput
+            ? `, it printed non-JSON output on stdout ("${strayOutput.slice(0, 80)}")`
+            : '';
+          reject(new Error(`did not answer ${method} within ${LAUNCH_TIMEOUT_MS / 1000}s${hint}, check that the command supports the stdio transport${describeStderr()}`));
+        }, LAUNCH_TIMEOUT_MS);
+        pending.set(id, {
+          method,
+          resolve: result => { clearTimeout(timer); resolve(result); },
+          reject: error => { clearTimeout(timer); reject(error); }
+        });
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+      });
+    },
+    notify(method, params) {
+      child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method, ...(params ? { params } : {}) })}\n`);
+    },
+    close() {
+      if (exited || child.exitCode !== null || failure) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          child.kill('SIGKILL');
+          resolve();
+        }, 2000);
+        child.once('close', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        // Closing stdin is how stdio servers are asked to shut down
+        child.stdin.end();
+        child.kill();
+      });
+    }
+  };
 }
 
 /**
- * Configure Cursor IDE to use MCP with local installation
+ * Create an entity through the memory server's tools and read it back
  */
-function configureCursor() {
-  console.log('⚙️ Configuring Cursor IDE...');
-  
-  // Determine OS-specific config directory
-  let configDir;
-  if (os.platform() === 'win32') {
-    configDir = path.join(process.env.APPDATA, 'Cursor', 'User');
-  } else if (os.platform() === 'darwin') {
-    configDir = path.join(os.homedir(), 'Library', 'Application Support', 'Cursor', 'User');
-  } else {
-    configDir = path.join(os.homedir(), '.config', 'Cursor', 'User');
-  }
-  
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(configDir)) {
-    fs.mkdirSync(configDir, { recursive: true });
+async function checkMemoryRoundTrip(client, toolNames, memoryFilePath) {
+  const missing = ['create_entities', 'open_nodes'].filter(name => !toolNames.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`does not provide the memory tools ${missing.join(', ')}, check the command starts the memory server`);
   }
   
-  // Create configuration file
-  const memoryFilePath = path.join(process.cwd(), CONFIG.memoryDirName, CONFIG.memoryFileName);
-  const configPath = path.join(configDir, 'claude_desktop_config.json');
-  
-  const config = {
-    mcp: {
-      server: {
-        // Use npx to run from node_modules
-        command: `npx modelcontextprotocol-memory-server --port ${CONFIG.mcpPort}`,
-        env: {
-          MEMORY_FILE_PATH: memoryFilePath
-        }
-      }
+  const marker = `doctor-${crypto.randomBytes(4).toString('hex')}`;
+  const callTool = async (name, args) => {
+    const result = await client.request('tools/call', { name, arguments: args }) || {};
+    const text = (result.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+    if (result.isError) {
+      throw new Error(`failed the ${name} call: ${text}`);
     }
+    return text;
   };
   
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-  console.log(`  ✓ Created Cursor configuration at: ${configPath}`);
+  await callTool('create_entities', {
+    entities: [{ name: marker, entityType: 'doctor-check', observations: [marker] }]
+  });
+  const read = await callTool('open_nodes', { names: [marker] });
+  if (!read.includes(marker)) {
+    throw new Error('did not return the entity it just created, the memory round trip failed');
+  }
+  if (!fs.existsSync(memoryFilePath) || !fs.readFileSync(memoryFilePath, 'utf8').includes(marker)) {
+    throw new Error('did not write to MEMORY_FILE_PATH, check the server version supports that variable');
+  }
 }
 
 /**
- * Create utility scripts for memory management
+ * Remove everything created by setup
  */
-function createMemoryUtilities() {
-  console.log('🛠️ Creating memory utilities...');
-  
-  // Create memory backup script
-  const backupScriptPath = path.join(CONFIG.memoryDirName, 'backup-memory.js');
-  const backupScript = `#!/usr/bin/env node
-const fs = require('fs');
-const path = require('path');
-
-// Backup memory file
-const memoryFile = path.join('.mcp', 'ai_memory.json');
-if (fs.existsSync(memoryFile)) {
-  const backupDir = path.join('.mcp', 'backups');
-  if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir);
-  
-  const timestamp = new Date().toISOString().replace(/:/g, '-');
-  const backupFile = path.join(backupDir, \`memory-\${timestamp}.json\`);
-  
-  fs.copyFileSync(memoryFile, backupFile);
-  console.log(\`Memory backed up to \${backupFile}\`);
-}
-`;
+async function runUninstallCommand() {
+  const question = runtime.keepMemory
+    ? '  ❓ This restores every file setup created or modified, keeping the memory file. Continue?'
+    : '  ❓ This restores every file setup created or modified, including deleting the memory file. Continue?';
+  if (!await confirm(question)) {
+    console.log('  ✓ Uninstall cancelled');
+    return;
+  }
   
-  fs.writeFileSync(backupScriptPath, backupScript);
-  fs.chmodSync(backupScriptPath, '755');
+  console.log('🧹 Uninstalling MCP setup...');
   
-  // Create a simple memory explorer script
-  const explorerScriptPath = path.join(CONFIG.memoryDirName, 'memory-explorer.js');
-  const explorerScript = `#!/usr/bin/env node
-const fs = require('fs');
-const path = require('path');
-const http = require('http');
-
-const MEMORY_FILE = path.join('.mcp', 'ai_memory.json');
-const PORT = 3003;
-
-// Simple HTML memory viewer
-const server = http.createServer((req, res) => {
-  if (req.url === '/') {
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    
-    try {
-      const memory = JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'));
-      const entriesHtml = memory.entries.map(entry => \`
-        <div class="memory-entry">
-          <div class="entry-header">
-            <span class="entry-id">\${entry.id}</span>
-            <span class="entry-timestamp">\${new Date(entry.timestamp).toLocaleString()}</span>
-          </div>
-          <div class="entry-content">\${entry.content}</div>
-        </div>
-      \`).join('');
-      
-      res.end(\`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>MCP Memory Explorer</title>
-          <style>
-            body { font-family: system-ui, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-            h1 { color: #333; }
-            .memory-entry { margin-bottom: 20px; border: 1px solid #ddd; border-radius: 5px; padding: 15px; }
-            .entry-header { display: flex; justify-content: space-between; margin-bottom: 10px; color: #666; }
-            .entry-id { font-weight: bold; }
-            .entry-content { white-space: pre-wrap; }
-          </style>
-        </head>
-        <body>
-          <h1>MCP Memory Explorer</h1>
-          <p>Displaying memory entries from \${MEMORY_FILE}</p>
-          <div class="memory-entries">
-            \${entriesHtml}
-          </div>
-        </body>
-        </html>
-      \`);
-    } catch (error) {
-      res.end(\`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>MCP Memory Explorer - Error</title>
-          <style>
-            body { font-family: system-ui, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-            h1 { color: #c00; }
-          </style>
-        </head>
-        <body>
-          <h1>Error</h1>
-          <p>Could not read memory file: \${error.message}</p>
-        </body>
-        </html>
-      \`);
-    }
+  const manifest = loadManifest();
+  if (manifest) {
+    await uninstallFromManifest(manifest);
   } else {
-    res.writeHead(404);
-    res.end('Not found');
+    console.log(`  ⚠️ No setup manifest found at ${getManifestPath()}, removing known setup files instead`);
+    uninstallWithoutManifest();
   }
-});
-
-server.listen(PORT, () => {
-  console.log(\`Memory Explorer started at http://localhost:\${PORT}\`);
-  console.log('Press Ctrl+C to stop');
-});
-`;
-  
-  fs.writeFileSync(explorerScriptPath, explorerScript);
-  fs.chmodSync(explorerScriptPath, '755');
 }
 
 /**
- * Create Cursor workspace settings
+ * Reverse everything recorded in the setup manifest
  */
-function createCursorWorkspaceSettings() {
-  console.log('⚙️ Creating Cursor workspace settings...');
+async function uninstallFromManifest(manifest) {
+  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  const isMemoryData = file => file === memoryPath || file.startsWith(path.join(CONFIG.memoryDirName, 'backups') + path.sep);
   
-  const cursorDir = '.cursor';
-  const settingsPath = path.join(cursorDir, 'settings.json');
+  // Dependencies and scripts, or the whole package.json if setup created it
+  if (manifest.packages.packageJsonCreated) {
+    if (pathExists('package.json')) {
+      removePath('package.json');
+      logDone('  ✓ Removed package.json (created by setup)');
+    }
+  } else if (pathExists('package.json')) {
+    const packageJson = JSON.parse(readText('package.json'));
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const added = manifest.packages.added.filter(name => dependencies[name]);
+    if (added.length > 0 && !runtime.skipInstall) {
+      runCommand(`${getPackageManager().remove} ${added.join(' ')}`, { stdio: 'inherit' });
+      logDone(`  ✓ Removed ${added.join(', ')}`);
+    }
+    
+    const updated = JSON.parse(readText('package.json'));
+    for (const [name, { previous, value }] of Object.entries(manifest.scripts)) {
+      const current = updated.scripts && updated.scripts[name];
+      if (current === undefined || current === previous) continue;
+      if (current !== value) {
+        console.log(`  ⚠️ Script "${name}" was changed after setup, leaving it in place`);
+        continue;
+      }
+      if (previous === null) {
+        delete updated.scripts[name];
+      } else {
+        updated.scripts[name] = previous;
+      }
+      logDone(`  ✓ ${previous === null ? 'Removed' : 'Restored'} script "${name}" in package.json`);
+    }
+    // Keep the original formatting when nothing else changed since setup
+    const { originalPackageJson } = manifest.packages;
+    if (updated.scripts && Object.keys(updated.scripts).length === 0 &&
+        originalPackageJson && JSON.parse(originalPackageJson).scripts === undefined) {
+      delete updated.scripts;
+    }
+    const unchanged = originalPackageJson && JSON.stringify(JSON.parse(originalPackageJson)) === JSON.stringify(updated);
+    writeText('package.json', unchanged ? originalPackageJson : JSON.stringify(updated, null, 2), { track: false });
+  }
   
-  // Create .cursor directory if it doesn't exist
-  if (!fs.existsSync(cursorDir)) {
-    fs.mkdirSync(cursorDir);
+  // Python servers installed into the project's virtual environment
+  const { python } = manifest.packages;
+  if (python && python.added.length > 0 && !runtime.skipInstall) {
+    const executable = getVenvExecutable(python.venv, 'python');
+    if (fs.existsSync(executable)) {
+      runCommand(`"${executable}" -m pip uninstall -y ${python.added.join(' ')}`, { stdio: 'inherit' });
+      logDone(`  ✓ Removed ${python.added.join(', ')} from the ${python.venv} virtual environment`);
+    }
   }
   
-  // Create or update settings.json
-  let settings = {};
-  if (fs.existsSync(settingsPath)) {
-    try {
-      settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    } catch (error) {
-      console.log('  ⚠️ Could not parse existing settings.json, creating new one');
+  // The lockfile and node_modules, if the install created them
+  for (const file of manifest.packages.created) {
+    if (pathExists(file)) {
+      removePath(file);
+      logDone(`  ✓ Removed ${file} (created by setup)`);
     }
   }
   
-  // Add AI-specific settings
-  settings = {
-    ...settings,
-    "ai.autoUseContextFiles": true,
-    "ai.memoryManagement": {
-      "enabled": true,
-      "persistMemoryBetweenSessions": true
-    },
-    "ai.modelResponsiveness": "fast",
-    "ai.codeGeneration": {
-      "useCompletionForInlineCompletion": true
+  // Files, newest first, restored only if they still hold what setup wrote
+  for (const file of Object.keys(manifest.files).reverse()) {
+    const { previous, written } = manifest.files[file];
+    if (runtime.keepMemory && isMemoryData(file)) {
+      console.log(`  ✓ Keeping ${file}`);
+      continue;
     }
-  };
+    
+    // Shared user-level client configurations lose only this project's servers
+    const globalClient = Object.values(CLIENTS).find(client => displayPath(client.global()) === file);
+    if (globalClient) {
+      removeGlobalServerEntries(globalClient, file, (manifest.globalEntries || {})[file], previous === null);
+      continue;
+    }
+    
+    const current = pathExists(file) ? readText(file) : null;
+    if (current === previous) continue;
+    if (current !== null && hashContent(current) !== written &&
+        !await confirm(`  ❓ ${file} was changed after setup. Restore it anyway?`)) {
+      console.log(`  ⚠️ Leaving ${file} in place`);
+      continue;
+    }
+    
+    if (previous === null) {
+      removePath(file);
+      logDone(`  ✓ Removed ${file}`);
+    } else {
+      writeText(file, previous, { track: false });
+      logDone(`  ✓ Restored ${file}`);
+    }
+  }
   
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-  console.log(`  ✓ Created Cursor workspace settings at: ${settingsPath}`);
+  // Directories, deepest first, only once they are empty
+  removePath(getManifestPath());
+  for (const dir of [...manifest.directories].reverse()) {
+    if (!fs.existsSync(dir)) continue;
+    if (runtime.dryRun) {
+      recordAction('remove directory (if empty)', dir);
+      continue;
+    }
+    if (fs.readdirSync(dir).length > 0) {
+      console.log(`  ✓ Keeping ${dir} (not empty)`);
+      continue;
+    }
+    removePath(dir);
+    logDone(`  ✓ Removed ${dir} directory`);
+  }
+  runtime.manifest = null;
 }
 
 /**
- * Perform verification to ensure MCP is working properly
+ * Remove this project's servers from a shared user-level client configuration,
+ * keeping the servers and settings other projects or the user added since
+ * setup. The file itself is removed only if setup created it and nothing else
+ * is left in it.
  */
-function performVerification() {
-  console.log('🔍 Verifying MCP setup...');
-  
-  // Check memory file exists
-  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
-  if (fs.existsSync(memoryPath)) {
-    console.log(`  ✓ Memory file exists at: ${memoryPath}`);
-  } else {
-    console.log(`  ⚠️ Memory file not found at: ${memoryPath}`);
+function removeGlobalServerEntries(client, configPath, names, created) {
+  if (!pathExists(configPath)) {
+    return;
   }
   
-  // Check package.json scripts
+  const previous = readText(configPath);
+  let config;
   try {
-    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-    if (packageJson.scripts && packageJson.scripts.mcp) {
-      console.log('  ✓ MCP script found in package.json');
-    } else {
-      console.log('  ⚠️ MCP script not found in package.json');
-    }
+    config = parseClientConfig(client, previous);
   } catch (error) {
-    console.log('  ⚠️ Could not check package.json for MCP script');
+    console.log(`  ⚠️ Could not parse ${configPath}, leaving it in place: ${error.message}`);
+    return;
   }
   
-  // Check Cursor config
-  let configDir;
-  if (os.platform() === 'win32') {
-    configDir = path.join(process.env.APPDATA, 'Cursor', 'User');
-  } else if (os.platform() === 'darwin') {
-    configDir = path.join(os.homedir(), 'Library', 'Application Support', 'Cursor', 'User');
-  } else {
-    configDir = path.join(os.homedir(), '.config', 'Cursor', 'User');
+  // Manifests from before the entry names were recorded: look the entries up
+  const servers = { ...config[client.serversKey] };
+  const entries = names || runtime.servers
+    .map(server => findGlobalServerName(servers, server, server.config(createServerContext('global', client))))
+    .filter(Boolean);
+  const removed = entries.filter(name => servers[name]);
+  if (removed.length === 0) {
+    return;
   }
+  removed.forEach(name => delete servers[name]);
   
-  const configPath = path.join(configDir, 'claude_desktop_config.json');
-  if (fs.existsSync(configPath)) {
-    console.log(`  ✓ Cursor configuration found at: ${configPath}`);
-  } else {
-    console.log(`  ⚠️ Cursor configuration not found at: ${configPath}`);
+  const others = Object.keys(config).filter(key => key !== client.serversKey);
+  if (created && others.length === 0 && Object.keys(servers).length === 0) {
+    removePath(configPath);
+    logDone(`  ✓ Removed ${configPath}`);
+    return;
   }
+  backupFile(configPath, previous);
+  writeText(configPath, serializeClientConfig(client, previous, servers), { track: false });
+  logDone(`  ✓ Removed ${removed.map(name => `"${name}"`).join(', ')} from ${client.name} configuration at: ${configPath}`);
 }
 
 /**
- * Generate project-specific rules based on analysis
+ * Remove the files known to be created by setup, for setups that predate the manifest
  */
-function generateRules(projectInfo) {
-  console.log('📝 Generating project rules...');
-  
-  // Create main project rule
-  createProjectRule(projectInfo);
+function uninstallWithoutManifest() {
+  if (pathExists('package.json')) {
+    const packageJson = JSON.parse(readText('package.json'));
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const installed = getServerPackages('npm').filter(name => dependencies[name]);
+    if (installed.length > 0 && !runtime.skipInstall) {
+      runCommand(`${getPackageManager().remove} ${installed.join(' ')}`, { stdio: 'inherit' });
+      logDone(`  ✓ Removed ${installed.join(', ')}`);
+    }
+    
+    const updated = JSON.parse(readText('package.json'));
+    const scripts = Object.entries(getSetupScripts())
+      .filter(([name, script]) => updated.scripts && updated.scripts[name] === script)
+      .map(([name]) => name);
+    if (scripts.length > 0) {
+      scripts.forEach(name => delete updated.scripts[name]);
+      writeText('package.json', JSON.stringify(updated, null, 2));
+      logDone(`  ✓ Removed scripts from package.json: ${scripts.join(', ')}`);
+    }
+  }
   
-  // Create specialized rules based on detected patterns
-  if (projectInfo.patterns.auth) {
-    createAuthRule(projectInfo);
+  const workspaceRules = fs.existsSync(CONFIG.rulesDirName)
+    ? fs.readdirSync(CONFIG.rulesDirName).filter(file => /^workspace-.+\.mdc$/.test(file))
+    : [];
+  for (const file of [...Object.values(RULE_FILES), ...workspaceRules]) {
+    const rulePath = path.join(CONFIG.rulesDirName, file);
+    if (pathExists(rulePath)) {
+      removePath(rulePath);
+      logDone(`  ✓ Removed ${rulePath}`);
+    }
   }
   
-  if (projectInfo.patterns.dataManagement) {
-    createDataManagementRule(projectInfo);
+  if (pathExists(CONFIG.memoryDirName) && runtime.keepMemory) {
+    for (const entry of fs.readdirSync(CONFIG.memoryDirName)) {
+      if (entry === CONFIG.memoryFileName || entry === 'backups') continue;
+      removePath(path.join(CONFIG.memoryDirName, entry));
+      logDone(`  ✓ Removed ${path.join(CONFIG.memoryDirName, entry)}`);
+    }
+  } else if (pathExists(CONFIG.memoryDirName)) {
+    removePath(CONFIG.memoryDirName);
+    logDone(`  ✓ Removed ${CONFIG.memoryDirName} directory`);
   }
   
-  if (projectInfo.patterns.ui) {
-    createUIComponentsRule(projectInfo);
+  // Only remove this project's entries from the client configurations
+  for (const client of runtime.clients) {
+    for (const scope of ['project', 'global'].filter(name => client[name])) {
+      removeClientEntries(client, scope);
+    }
+  }
+  if (runtime.clients.some(client => client.id === 'cursor')) {
+    removeLegacyCursorEntries();
   }
-  
-  // Create best practices rule
-  createBestPracticesRule(projectInfo);
 }
 
 /**
- * Create the main project rule file
+ * Remove this project's servers from one client configuration file, and the
+ * project file itself if nothing else is left in it
  */
-function createProjectRule(projectInfo) {
-  const rulePath = path.join(CONFIG.rulesDirName, 'project-rules.mdc');
-  
-  // Determine file globs based on project type
-  let globs;
-  if (projectInfo.type === 'Next.js' || projectInfo.type === 'React') {
-    globs = '"**/*.{ts,tsx,js,jsx}"';
-  } else if (projectInfo.type === 'Vue') {
-    globs = '"**/*.{vue,js,ts}"';
-  } else if (projectInfo.type === 'Angular') {
-    globs = '"**/*.{ts,html,scss}"';
-  } else if (projectInfo.type === 'Python') {
-    globs = '"**/*.py"';
-  } else {
-    globs = '"**/*"';
+function removeClientEntries(client, scope) {
+  const global = scope === 'global';
+  const configPath = global ? client.global() : client.project;
+  if (!pathExists(configPath)) {
+    return;
   }
   
-  // Create rule content
-  const ruleContent = `---
-description: Main project rules and context
-globs: ${globs}
----
-# ${projectInfo.name} Project Rules
-
-## About This Project
-
-This is a ${projectInfo.type} project ${projectInfo.frameworks.length > 0 ? `with ${projectInfo.frameworks.join(', ')}` : ''}.
-${projectInfo.patterns.auth ? `The project uses ${projectInfo.patterns.auth} for authentication.` : ''}
-${projectInfo.patterns.dataManagement ? `It uses ${projectInfo.patterns.dataManagement} for data management.` : ''}
-${projectInfo.patterns.ui ? `The UI is built with ${projectInfo.patterns.ui}.` : ''}
-
-## Technical Stack
-
-${projectInfo.frameworks.map(fw => `- ${fw}`).join('\n')}
-${projectInfo.patterns.auth ? `- ${projectInfo.patterns.auth}` : ''}
-${projectInfo.patterns.dataManagement ? `- ${projectInfo.patterns.dataManagement}` : ''}
-${projectInfo.patterns.ui ? `- ${projectInfo.patterns.ui}` : ''}
-
-## Project Structure
-
-- Analyze the project structure to understand the organization
-- Look for patterns in directory names and file organization
-- Understand the relationship between different components
-
-## Rule References
-
-${projectInfo.patterns.auth ? '@file:.cursor/rules/auth-rules.mdc\n' : ''}${projectInfo.patterns.dataManagement ? '@file:.cursor/rules/data-management-rules.mdc\n' : ''}${projectInfo.patterns.ui ? '@file:.cursor/rules/ui-components-rules.mdc\n' : ''}@file:.cursor/rules/best-practices.mdc
-
-## MCP Memory Server Configuration
-
-The Model Context Protocol (MCP) Memory Server is configured to store persistent memories at:
-${CONFIG.memoryDirName}/${CONFIG.memoryFileName} (within the project directory)
-
-## Memory Utilization Best Practices
-
-1. **Progressive Memory Building**: Add new memories that enhance understanding of the project's evolution
-2. **Contextual Recall**: Reference relevant past decisions when providing recommendations
-3. **Implementation Consistency**: Ensure new code suggestions align with established patterns
-4. **Documentation Integration**: Reference project requirements in memory usage
-5. **Communication Continuity**: Maintain awareness of communication style and preferences
-
-## Coding Standards
-
-1. Follow the established patterns in the codebase
-2. Implement proper error handling and validation
-3. Write clean, maintainable, and self-documenting code
-4. Organize code logically and maintain separation of concerns
-5. Follow security best practices for the platform
-`;
-
-  fs.writeFileSync(rulePath, ruleContent);
-  console.log(`  ✓ Created project rule: ${rulePath}`);
+  const previous = readText(configPath);
+  let config;
+  try {
+    config = parseClientConfig(client, previous);
+  } catch (error) {
+    console.log(`  ⚠️ Could not parse ${configPath}, leaving it in place`);
+    return;
+  }
+  
+  const servers = { ...config[client.serversKey] };
+  const entries = runtime.servers
+    .map(server => findConfiguredServerName(config, server, { client, scope, global }))
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return;
+  }
+  entries.forEach(name => delete servers[name]);
+  
+  if (!global && Object.keys(servers).length === 0 && Object.keys(config).length === 1) {
+    removePath(configPath);
+    logDone(`  ✓ Removed ${configPath}`);
+    return;
+  }
+  if (global) {
+    backupFile(configPath, previous);
+  }
+  writeText(configPath, serializeClientConfig(client, previous, servers));
+  logDone(`  ✓ Removed MCP server "${entries.join('", "')}" from ${client.name} ${scope} configuration at: ${configPath}`);
 }
 
 /**
- * Create authentication rule file
+ * Install the selected MCP servers locally (Node.js servers as dev dependencies)
  */
-function createAuthRule(projectInfo) {
-  const rulePath = path.join(CONFIG.rulesDirName, 'auth-rules.mdc');
-  
-  // Determine file globs based on project type
-  let globs;
-  if (projectInfo.type === 'Next.js' || projectInfo.type === 'React') {
-    globs = '"**/auth/**/*.{ts,tsx,js,jsx}"';
-  } else if (projectInfo.type === 'Vue') {
-    globs = '"**/auth/**/*.{vue,js,ts}"';
-  } else if (projectInfo.type === 'Angular') {
-    globs = '"**/auth/**/*.{ts,html}"';
-  } else if (projectInfo.type === 'Python') {
-    globs = '"**/auth/**/*.py"';
+async function installMCPServer() {
+  console.log('📦 Installing MCP servers locally...');
+  const npmPackages = getServerPackages('npm');
+  
+  if (getEcosystem() !== 'node') {
+    // npx fetches the Node.js servers on first launch, so the project gets no package.json
+    if (commandExists('npx')) {
+      console.log(`  ✓ No package.json in this ${getEcosystemName()} project, ${npmPackages.join(', ')} will run through npx (pass --package-json to install them locally)`);
+    } else {
+      console.log(`  ⚠️ npx not found, install Node.js (https://nodejs.org) to run: ${npmPackages.join(', ')}`);
+    }
   } else {
-    globs = '"**/auth/**/*"';
+    const packageManager = getPackageManager();
+    console.log(`  ✓ Using ${packageManager.name} (detected from ${packageManager.source})`);
+    
+    try {
+      // Check if package.json exists
+      const hasPackageJson = pathExists('package.json');
+      if (!hasPackageJson) {
+        console.log('  ⚠️ No package.json found, creating one...');
+        runCommand(packageManager.init, { stdio: 'ignore' });
+        recordPackageJsonCreated();
+      }
+      recordAddedPackages(npmPackages);
+      
+      // Install as dev dependencies (at the workspace root of a monorepo)
+      const newPaths = [...packageManager.lockfiles, 'node_modules'].filter(file => !pathExists(file));
+      const rootFlag = isMonorepo() && packageManager.workspaceRootFlag ? ` ${packageManager.workspaceRootFlag}` : '';
+      runCommand(`${packageManager.addDev}${rootFlag} ${npmPackages.join(' ')}`, { 
+        stdio: ['inherit', 'inherit', 'inherit'] 
+      });
+      recordCreatedPaths(newPaths);
+      logDone(`  ✓ Installed ${npmPackages.join(', ')} as local dev dependencies`);
+    } catch (error) {
+      throw new Error(`Failed to install MCP servers: ${error.message}`);
+    }
   }
   
-  // Create template based on auth provider
-  let implementation = '';
-  if (projectInfo.patterns.auth === 'Firebase Authentication') {
-    implementation = `
-### Firebase Authentication
-
-- Use Firebase Authentication methods for user management
-- Implement proper error handling for authentication operations
-- Follow Firebase best practices for security rules
-- Use proper TypeScript types for user objects`;
-  } else if (projectInfo.patterns.auth === 'Clerk') {
-    implementation = `
-### Clerk Integration
-
-- Use Clerk's provided hooks and components for authentication flows
-- Follow Clerk's middleware pattern for protected routes
-- Implement proper role-based access control using Clerk's user metadata
-- Use Clerk's theming capabilities for consistent styling`;
-  } else if (projectInfo.patterns.auth === 'Auth0') {
-    implementation = `
-### Auth0 Integration
-
-- Use Auth0's SDK for authentication flows
-- Implement proper role-based access control using Auth0 roles and permissions
-- Follow Auth0's best practices for token handling
-- Implement proper error handling for authentication operations`;
-  } else if (projectInfo.patterns.auth === 'NextAuth.js') {
-    implementation = `
-### NextAuth.js Integration
+  installPythonServers();
+}
 
-- Configure providers appropriate for your application
-- Use NextAuth.js session hooks for authentication state
-- Implement callbacks for customizing session and JWT handling
-- Follow best practices for protected routes`;
+/**
+ * Prepare the Python servers: uvx and pipx download them the first time a
+ * client launches them, a project virtual environment gets them from pip
+ */
+function installPythonServers() {
+  const packages = getServerPackages('python');
+  if (packages.length === 0) return;
+  
+  const runner = getPythonRunner();
+  if (runner.missing) {
+    console.log(`  ⚠️ Neither uvx nor pipx found and no .venv, install uv (https://docs.astral.sh/uv/) to run: ${packages.join(', ')}`);
+  } else if (runner.name !== 'venv') {
+    console.log(`  ✓ ${runner.name} found, ${packages.join(', ')} will be downloaded on first launch`);
   } else {
-    implementation = `
-### Authentication Implementation
-
-- Implement secure authentication flows
-- Use proper error handling for authentication operations
-- Follow best practices for token/session management
-- Implement proper role-based access control`;
+    const python = getVenvExecutable(runner.venv, 'python');
+    recordAddedPythonPackages(runner.venv, packages);
+    try {
+      runCommand(`"${python}" -m pip install ${packages.join(' ')}`, { stdio: 'inherit' });
+    } catch (error) {
+      throw new Error(`Failed to install MCP servers into ${runner.venv}: ${error.message}`);
+    }
+    logDone(`  ✓ Installed ${packages.join(', ')} into the ${runner.venv} virtual environment`);
   }
-  
-  const ruleContent = `---
-description: Authentication guidelines and patterns
-globs: ${globs}
----
-# Authentication Guidelines
-
-## Pattern
-
-Authentication in this project is implemented using ${projectInfo.patterns.auth}.
-
-## Authentication Implementation
-${implementation}
-
-## Memory Usage For Authentication
-
-When working with authentication files, apply these specific memory retrieval and application guidelines:
+}
 
-### Authentication Flow Context
+/**
+ * Decide how the project gets its Node.js servers: 'node' installs them as dev
+ * dependencies, any other ecosystem ('python', 'go', ...) runs them through npx
+ * so a project without a package.json does not get one (unless --package-json
+ * asks for it)
+ */
+function getEcosystem() {
+  if (!runtime.ecosystem) {
+    const ecosystem = !runtime.packageJson && !pathExists('package.json') && ECOSYSTEMS.find(isEcosystemProject);
+    runtime.ecosystem = ecosystem ? ecosystem.id : 'node';
+  }
+  return runtime.ecosystem;
+}
 
-- Reference previous implementation details of the authentication flow
-- Recall user role management implementation details
-- Remember discussions about authentication state persistence
+/**
+ * Check whether the project root has the manifest of an ecosystem
+ */
+function isEcosystemProject(ecosystem) {
+  if ((ecosystem.manifests || []).some(file => fs.existsSync(file))) {
+    return true;
+  }
+  if (ecosystem.extensions && fs.readdirSync('.').some(file => ecosystem.extensions.includes(path.extname(file)))) {
+    return true;
+  }
+  return ecosystem.id === 'python' && findRequirementsFiles('.').length > 0;
+}
 
-## Best Practices
+/**
+ * Get the display name of the project's ecosystem, e.g. "Python" or "Go"
+ */
+function getEcosystemName() {
+  const ecosystem = ECOSYSTEMS.find(candidate => candidate.id === getEcosystem());
+  return ecosystem ? ecosystem.name : 'Node.js';
+}
 
-1. Never store sensitive authentication data in client-side state
-2. Implement proper error handling for all authentication operations
-3. Use proper types for user and session objects
-4. Follow the principle of least privilege for authentication operations
-5. Implement proper loading and error states for authentication UI
-`;
+/**
+ * Pick how Python servers are launched: uvx, then pipx, then the project's
+ * virtual environment
+ */
+function getPythonRunner() {
+  if (!runtime.pythonRunner) {
+    const venv = ['.venv', 'venv'].find(dir => fs.existsSync(path.join(dir, 'pyvenv.cfg')));
+    if (commandExists('uvx')) {
+      runtime.pythonRunner = { name: 'uvx' };
+    } else if (commandExists('pipx')) {
+      runtime.pythonRunner = { name: 'pipx' };
+    } else if (venv) {
+      runtime.pythonRunner = { name: 'venv', venv };
+    } else {
+      runtime.pythonRunner = { name: 'uvx', missing: true };
+    }
+  }
+  return runtime.pythonRunner;
+}
 
-  fs.writeFileSync(rulePath, ruleContent);
-  console.log(`  ✓ Created authentication rule: ${rulePath}`);
+/**
+ * Get the path of an executable installed in a virtual environment
+ */
+function getVenvExecutable(venv, name) {
+  return process.platform === 'win32'
+    ? path.join(venv, 'Scripts', `${name}.exe`)
+    : path.join(venv, 'bin', name);
 }
 
 /**
- * Create data management rule file
+ * Detect the project's package manager, from the `packageManager` field of
+ * package.json or from a lockfile in the project or one of its parents
  */
-function createDataManagementRule(projectInfo) {
-  const rulePath = path.join(CONFIG.rulesDirName, 'data-management-rules.mdc');
-  
-  // Determine file globs based on project type
-  let globs;
-  if (projectInfo.type === 'Next.js' || projectInfo.type === 'React') {
-    globs = '"**/lib/**/*.{ts,js},**/hooks/**/*.{ts,tsx,js,jsx},**/data/**/*.{ts,js}"';
-  } else if (projectInfo.type === 'Vue') {
-    globs = '"**/store/**/*.{js,ts},**/services/**/*.{js,ts}"';
-  } else if (projectInfo.type === 'Angular') {
-    globs = '"**/services/**/*.ts,**/store/**/*.ts"';
-  } else if (projectInfo.type === 'Python') {
-    globs = '"**/models/**/*.py,**/db/**/*.py"';
-  } else {
-    globs = '"**/data/**/*,**/models/**/*"';
+function getPackageManager() {
+  if (runtime.packageManager) {
+    return runtime.packageManager;
   }
   
-  // Create template based on data management pattern
-  let implementation = '';
-  if (projectInfo.patterns.dataManagement === 'Firebase Firestore') {
-    implementation = `
-### Firebase Firestore
-
-- Organize Firestore collections by entity type
-- Implement proper security rules for data access control
-- Use batch operations for related data changes
-- Structure data for efficient queries and minimal reads/writes`;
-  } else if (projectInfo.patterns.dataManagement === 'React Query') {
-    implementation = `
-### React Query Integration
-
-- Use React Query hooks for data fetching and caching
-- Implement proper query keys for cache management
-- Use proper error handling and loading states
-- Leverage React Query's background refetching capabilities`;
-  } else if (projectInfo.patterns.dataManagement === 'Prisma') {
-    implementation = `
-### Prisma Integration
-
-- Define clear and comprehensive data models in the schema
-- Use Prisma Client for type-safe database queries
-- Leverage Prisma's transaction API for related operations
-- Implement proper error handling for database operations`;
-  } else if (projectInfo.patterns.dataManagement === 'MongoDB (Mongoose)') {
-    implementation = `
-### Mongoose Integration
-
-- Define clear schema definitions with validation
-- Use Mongoose middleware for pre/post operation hooks
-- Implement proper indexing for performance
-- Use proper error handling for database operations`;
+  let detected = { name: 'npm', source: 'default' };
+  let packageJson = {};
+  try {
+    packageJson = JSON.parse(readText('package.json'));
+  } catch (error) {
+    // No package.json yet
+  }
+  
+  const declared = /^(npm|pnpm|yarn|bun)@(\d+)/.exec(packageJson.packageManager || '');
+  if (declared) {
+    detected = { name: declared[1], source: 'packageManager in package.json', major: Number(declared[2]) };
   } else {
-    implementation = `
-### Data Management Implementation
-
-- Organize data models logically by entity type
-- Implement proper data validation
-- Use transactions for related data changes
-- Implement proper error handling for data operations`;
+    const lockfile = findLockfile();
+    if (lockfile) {
+      detected = { name: lockfile.name, source: displayPath(lockfile.path) };
+      // Yarn 2+ projects are configured with .yarnrc.yml
+      if (lockfile.name === 'yarn' && fs.existsSync(path.join(path.dirname(lockfile.path), '.yarnrc.yml'))) {
+        detected.major = 2;
+      }
+    }
   }
   
-  const ruleContent = `---
-description: Data management guidelines and patterns
-globs: ${globs}
----
-# Data Management Guidelines
-
-## Pattern
-
-Data management in this project primarily uses ${projectInfo.patterns.dataManagement}.
-
-## Data Management Implementation
-${implementation}
+  const manager = { ...PACKAGE_MANAGERS[detected.name], ...detected };
+  if (manager.name === 'yarn' && manager.major >= 2) {
+    manager.init = 'yarn init';
+    manager.workspaceRootFlag = null;
+  }
+  
+  runtime.packageManager = manager;
+  return manager;
+}
 
-## Memory Usage For Data Management
+/**
+ * Find the nearest lockfile in the project directory or its parents
+ */
+function findLockfile() {
+  let currentDir = process.cwd();
+  while (true) {
+    for (const [name, manager] of Object.entries(PACKAGE_MANAGERS)) {
+      const lockfile = manager.lockfiles.find(file => fs.existsSync(path.join(currentDir, file)));
+      if (lockfile) {
+        return { name, path: path.join(currentDir, lockfile) };
+      }
+    }
+    if (currentDir === path.parse(currentDir).root) {
+      return null;
+    }
+    currentDir = path.dirname(currentDir);
+  }
+}
 
-When working with data management, apply these memory retrieval and application guidelines:
+/**
+ * Check whether the project is a monorepo root by looking for common indicators
+ */
+function isMonorepo() {
+  if (fs.existsSync('lerna.json') || fs.existsSync('pnpm-workspace.yaml')) {
+    return true;
+  }
+  try {
+    return Boolean(JSON.parse(readText('package.json')).workspaces);
+  } catch (error) {
+    return false;
+  }
+}
 
-### Data Model
+/**
+ * Get the files declaring workspace package patterns, out of package.json,
+ * pnpm-workspace.yaml and lerna.json, with the patterns each declares
+ */
+function getWorkspaceSources() {
+  const sources = [];
+  if (pathExists('package.json')) {
+    const { workspaces } = JSON.parse(readText('package.json'));
+    const patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+    if (patterns.length > 0) sources.push({ label: 'the `workspaces` field of `package.json`', patterns });
+  }
+  if (pathExists('pnpm-workspace.yaml')) {
+    const patterns = readPnpmWorkspacePatterns(readText('pnpm-workspace.yaml'));
+    if (patterns.length > 0) sources.push({ label: '`pnpm-workspace.yaml`', patterns });
+  }
+  if (pathExists('lerna.json')) {
+    const lerna = JSON.parse(readText('lerna.json'));
+    // Lerna defaults to packages/* unless it defers to the package manager's workspaces
+    const patterns = lerna.packages || (sources.length === 0 ? ['packages/*'] : []);
+    if (patterns.length > 0) sources.push({ label: '`lerna.json`', patterns });
+  }
+  return sources;
+}
 
-- Reference the data model structure
-- Recall discussions about data properties and relationships
-- Remember specific requirements for data validation
+/**
+ * Get the workspace package patterns from all the files declaring them
+ */
+function getWorkspacePatterns() {
+  return [...new Set(getWorkspaceSources().flatMap(source => source.patterns))];
+}
 
-### Query Patterns
+/**
+ * Read the `packages` list of a pnpm-workspace.yaml file
+ */
+function readPnpmWorkspacePatterns(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      continue;
+    }
+    const item = inPackages && line.match(/^\s+-\s*(['"]?)(.+?)\1\s*(?:#.*)?$/);
+    if (item) patterns.push(item[2]);
+  }
+  return patterns;
+}
 
-- Reference established patterns for data access
-- Recall discussions about query optimizations
-- Remember specific requirements for data filtering and sorting
+/**
+ * Expand a workspace pattern such as `apps/*` or `packages/**` to the matching
+ * directories, as paths relative to the project with forward slashes
+ */
+function expandWorkspacePattern(pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(segment => segment && segment !== '.');
+  const matches = new Set();
+  const listDirs = dir => fs.readdirSync(dir || '.', { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+    .map(entry => (dir ? `${dir}/${entry.name}` : entry.name));
+  
+  const walk = (dir, index) => {
+    if (index === segments.length) {
+      matches.add(dir);
+      return;
+    }
+    const segment = segments[index];
+    if (segment === '**') {
+      walk(dir, index + 1);
+      listDirs(dir).forEach(child => walk(child, index));
+    } else if (segment.includes('*')) {
+      const matcher = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      listDirs(dir).filter(child => matcher.test(path.posix.basename(child))).forEach(child => walk(child, index + 1));
+    } else {
+      const child = dir ? `${dir}/${segment}` : segment;
+      if (fs.existsSync(child) && fs.statSync(child).isDirectory()) walk(child, index + 1);
+    }
+  };
+  walk('', 0);
+  return [...matches];
+}
 
-## Best Practices
+/**
+ * Find the workspace packages of a monorepo: directories matched by the
+ * workspace patterns that have a package.json, minus `!` exclusions
+ */
+function findWorkspacePackages() {
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of getWorkspacePatterns()) {
+    const negated = pattern.startsWith('!');
+    for (const dir of expandWorkspacePattern(negated ? pattern.slice(1) : pattern)) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+  return [...included]
+    .filter(dir => dir && !excluded.has(dir) && pathExists(path.join(dir, 'package.json')))
+    .sort();
+}
 
-1. Implement proper types for all data models
-2. Use validation for data integrity
-3. Implement proper error handling for all data operations
-4. Follow the principle of least privilege for data access
-5. Implement optimistic updates for a better user experience
-6. Use proper loading and error states for data-dependent UI
-7. Minimize data fetching and leverage caching where appropriate
-`;
+/**
+ * Get the packages of the selected servers installed by an installer type
+ */
+function getServerPackages(type) {
+  return runtime.servers
+    .filter(server => server.install && server.install.type === type)
+    .map(server => server.install.package);
+}
 
-  fs.writeFileSync(rulePath, ruleContent);
-  console.log(`  ✓ Created data management rule: ${rulePath}`);
+/**
+ * Check whether a command is available on the PATH
+ */
+function commandExists(command) {
+  try {
+    execSync(`${command} --version`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
- * Create UI components rule file
+ * Fail early when a selected server needs environment variables that are not
+ * set. Only user-level configurations embed the values; project configurations
+ * reference the variables, which then only have to be set where the client runs.
  */
-function createUIComponentsRule(projectInfo) {
-  const rulePath = path.join(CONFIG.rulesDirName, 'ui-components-rules.mdc');
-  
-  // Determine file globs based on project type
-  let globs;
-  if (projectInfo.type === 'Next.js' || projectInfo.type === 'React') {
-    globs = '"**/components/**/*.{tsx,jsx,ts,js}"';
-  } else if (projectInfo.type === 'Vue') {
-    globs = '"**/components/**/*.vue"';
-  } else if (projectInfo.type === 'Angular') {
-    globs = '"**/components/**/*.ts,**/components/**/*.html,**/components/**/*.scss"';
-  } else {
-    globs = '"**/components/**/*,**/ui/**/*"';
+function checkRequiredEnv() {
+  const missing = [];
+  for (const server of runtime.servers) {
+    for (const name of server.requiredEnv) {
+      if (!process.env[name]) missing.push(`${name} (${server.name})`);
+    }
+  }
+  if (missing.length === 0) {
+    return;
   }
   
-  // Create template based on UI framework
-  let implementation = '';
-  if (projectInfo.patterns.ui === 'Tailwind CSS') {
-    implementation = `
-### Tailwind CSS Usage
+  const globalClients = getClientTargets().filter(target => target.global).map(target => target.client.name);
+  if (globalClients.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}, needed for the user-level ${globalClients.join(', ')} configuration`);
+  }
+  console.log(`⚠️ Environment variables not set: ${missing.join(', ')}. Set them where your MCP client runs.\n`);
+}
+
+/**
+ * Analyze the project structure to determine type, frameworks, etc.
+ * with enhanced detection capabilities
+ */
+function analyzeProject() {
+  console.log('🔍 Analyzing project structure...');
+  
+  const projectInfo = {
+    name: path.basename(process.cwd()),
+    type: 'unknown',
+    stacks: [],
+    frameworks: [],
+    patterns: {
+      auth: null,
+      dataManagement: null,
+      ui: null
+    },
+    testing: [],
+    config: [],
+    isMonorepo: false,
+    workspaces: [],
+    repoRoot: null
+  };
+  
+  // Check for git repository
+  if (fs.existsSync('.git')) {
+    projectInfo.repoRoot = process.cwd();
+  } else {
+    // Try to find git repository in parent directories
+    let currentDir = process.cwd();
+    while (currentDir !== path.parse(currentDir).root) {
+      if (fs.existsSync(path.join(currentDir, '.git'))) {
+        projectInfo.repoRoot = currentDir;
+        break;
+      }
+      currentDir = path.dirname(currentDir);
+    }
+  }
+  
+  // Check if it's a monorepo by looking for common indicators
+  projectInfo.isMonorepo = isMonorepo();
+  
+  // Check for configuration files
+  const configFiles = [
+    '.eslintrc.js', '.eslintrc.json', '.eslintrc', 
+    'tsconfig.json', 'babel.config.js', 'jest.config.js',
+    '.prettierrc', '.prettierrc.js', '.stylelintrc',
+    'vite.config.js', 'vite.config.ts', 'webpack.config.js',
+    'next.config.js', 'nuxt.config.js', 'angular.json',
+    '.env', '.env.local', '.env.development'
+  ];
+  
+  for (const file of configFiles) {
+    if (fs.existsSync(file)) {
+      projectInfo.config.push(file);
+    }
+  }
+  
+  // Check package.json for JS/TS projects
+  const root = readPackageManifest('.');
+  projectInfo.name = root.name || projectInfo.name;
+  
+  // Determine project type, frameworks and patterns from the detectors
+  let findings = runDetectors('.', root);
+  if (projectInfo.isMonorepo) {
+    projectInfo.workspaces = analyzeWorkspaces();
+    // The monorepo's stacks are those of the root and every package
+    findings = mergeFindings([findings, ...projectInfo.workspaces.map(workspace => workspace.findings)]);
+  }
+  const stacks = selectStacks(findings);
+  for (const finding of stacks) {
+    console.log(`  ✓ Detected ${finding.detector.stack} (${Math.round(finding.confidence * 100)}% from ${finding.signals.join(', ')})`);
+  }
+  Object.assign(projectInfo, summarizeFindings(findings, stacks));
+  
+  // Analyze directory structure for deeper understanding
+  try {
+    const topLevelDirs = fs.readdirSync('.').filter(f => fs.statSync(f).isDirectory());
+    
+    // Check for typical directories
+    if (topLevelDirs.includes('src')) projectInfo.hasSourceDir = true;
+    if (topLevelDirs.includes('tests') || topLevelDirs.includes('__tests__')) projectInfo.hasTestsDir = true;
+    if (topLevelDirs.includes('docs')) projectInfo.hasDocsDir = true;
+    if (topLevelDirs.includes('scripts')) projectInfo.hasScriptsDir = true;
+    
+    // Look for component patterns in React-based projects
+    if (projectInfo.frameworks.includes('React')) {
+      const componentPatterns = {
+        atomic: ['atoms', 'molecules', 'organisms', 'templates'].every(dir => 
+          findDir('.', dir)),
+        featureBased: findDir('.', 'features'),
+        pageBased: findDir('.', 'pages')
+      };
+      
+      if (componentPatterns.atomic) {
+        projectInfo.componentPattern = 'Atomic Design';
+      } else if (componentPatterns.featureBased) {
+        projectInfo.componentPattern = 'Feature-based';
+      } else if (componentPatterns.pageBased) {
+        projectInfo.componentPattern = 'Page-based';
+      }
+    }
+  } catch (e) {
+    // Ignore directory reading errors
+  }
+  
+  applyProjectOverrides(projectInfo);
+  return projectInfo;
+}
+
+/**
+ * Read the name and dependencies of a package directory from its package.json,
+ * Python manifests and the manifests of other languages
+ */
+function readPackageManifest(dir) {
+  const python = readPythonManifests(dir);
+  const other = readLibraryManifests(dir);
+  const manifestPath = path.join(dir, 'package.json');
+  if (!pathExists(manifestPath)) {
+    return { name: python.name || other.name, deps: {}, pythonDeps: python.deps, libraries: other.libraries };
+  }
+  const packageJson = JSON.parse(readText(manifestPath));
+  return {
+    name: packageJson.name || python.name || other.name,
+    deps: { ...packageJson.peerDependencies, ...packageJson.dependencies, ...packageJson.devDependencies },
+    pythonDeps: python.deps,
+    libraries: other.libraries
+  };
+}
+
+/**
+ * Read the project name and dependencies declared in a directory's Python
+ * manifests: requirements files, Pipfile and pyproject.toml (PEP 621, PEP 735
+ * dependency groups, Poetry and PDM). Names are normalized as in PEP 503.
+ */
+function readPythonManifests(dir) {
+  const deps = {};
+  let name = null;
+  const addRequirement = spec => {
+    const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(spec);
+    if (match) deps[normalizePythonName(match[1])] = spec.trim();
+  };
+  const addTable = table => {
+    for (const [dependency, spec] of Object.entries(table || {})) {
+      deps[normalizePythonName(dependency)] = typeof spec === 'string' ? spec : spec.version || '*';
+    }
+  };
+  const addGroups = groups => {
+    for (const list of Object.values(groups || {})) {
+      // Dependency groups may also hold { include-group } tables
+      if (Array.isArray(list)) list.filter(item => typeof item === 'string').forEach(addRequirement);
+    }
+  };
+  const readToml = file => {
+    try {
+      return parseToml(readText(path.join(dir, file)));
+    } catch (error) {
+      console.log(`  ⚠️ Could not read ${path.join(dir, file)}: ${error.message}`);
+      return {};
+    }
+  };
+  
+  for (const file of findRequirementsFiles(dir)) {
+    for (const line of readText(path.join(dir, file)).split(/\r?\n/)) {
+      // Skip comments, pip options such as -r and -e, and bare URLs
+      const requirement = line.replace(/(^|\s)#.*$/, '').trim();
+      if (requirement && !requirement.startsWith('-') && !/^[\w+.-]+:\/\//.test(requirement)) {
+        addRequirement(requirement);
+      }
+    }
+  }
+  
+  if (pathExists(path.join(dir, 'Pipfile'))) {
+    const pipfile = readToml('Pipfile');
+    addTable(pipfile.packages);
+    addTable(pipfile['dev-packages']);
+  }
+  
+  if (pathExists(path.join(dir, 'pyproject.toml'))) {
+    const { project = {}, tool = {}, 'dependency-groups': dependencyGroups } = readToml('pyproject.toml');
+    const poetry = tool.poetry || {};
+    (project.dependencies || []).forEach(addRequirement);
+    addGroups(project['optional-dependencies']);
+    addGroups(dependencyGroups);
+    addTable(poetry.dependencies);
+    addTable(poetry['dev-dependencies']);
+    Object.values(poetry.group || {}).forEach(group => addTable(group.dependencies));
+    addGroups((tool.pdm || {})['dev-dependencies']);
+    name = project.name || poetry.name || null;
+  }
+  
+  // Poetry lists the interpreter version among the dependencies
+  delete deps.python;
+  return { name, deps };
+}
+
+/**
+ * List the pip requirements files of a directory: requirements*.txt and the
+ * files of a requirements/ directory
+ */
+function findRequirementsFiles(dir) {
+  const files = fs.readdirSync(dir).filter(file => /^requirements.*\.txt$/.test(file));
+  const requirementsDir = path.join(dir, 'requirements');
+  if (fs.existsSync(requirementsDir) && fs.statSync(requirementsDir).isDirectory()) {
+    files.push(...fs.readdirSync(requirementsDir)
+      .filter(file => file.endsWith('.txt'))
+      .map(file => path.join('requirements', file)));
+  }
+  return files.filter(file => fs.statSync(path.join(dir, file)).isFile());
+}
+
+/**
+ * Normalize a Python distribution name (PEP 503)
+ */
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Read the project name and the dependencies declared in a directory's
+ * manifests for Go, Rust, the JVM, Ruby, PHP and .NET, keyed by detector
+ * signal kind
+ */
+function readLibraryManifests(dir) {
+  const libraries = { go: {}, crate: {}, maven: {}, gem: {}, composer: {}, nuget: {} };
+  const names = [
+    readGoModules(dir, libraries.go),
+    readCargoManifests(dir, libraries.crate),
+    readMavenManifests(dir, libraries.maven),
+    readGradleManifests(dir, libraries.maven),
+    readComposerManifest(dir, libraries.composer)
+  ];
+  readGemfile(dir, libraries.gem);
+  readDotnetProjects(dir, libraries.nuget);
+  return { name: names.find(Boolean) || null, libraries };
+}
+
+/**
+ * Read the modules required by go.mod and by the modules go.work uses. Each
+ * module is also recorded without its major version suffix, so
+ * github.com/labstack/echo/v4 matches github.com/labstack/echo.
+ */
+function readGoModules(dir, modules) {
+  const goWork = readOptionalText(path.join(dir, 'go.work'));
+  const moduleDirs = goWork ? parseGoDirective(goWork, 'use').map(([useDir]) => path.join(dir, useDir)) : [];
+  let name = null;
+  
+  for (const moduleDir of [dir, ...moduleDirs]) {
+    const goMod = readOptionalText(path.join(moduleDir, 'go.mod'));
+    if (!goMod) continue;
+    for (const [modulePath, version = '*'] of parseGoDirective(goMod, 'require')) {
+      modules[modulePath] = version;
+      modules[modulePath.replace(/\/v\d+$/, '')] = version;
+    }
+    const [[modulePath] = []] = parseGoDirective(goMod, 'module');
+    if (moduleDir === dir && modulePath) {
+      name = path.posix.basename(modulePath.replace(/\/v\d+$/, ''));
+    }
+  }
+  return name;
+}
+
+/**
+ * List the entries of a go.mod or go.work directive, on one line or in a
+ * parenthesized block, as arrays of fields
+ */
+function parseGoDirective(text, directive) {
+  const entries = [];
+  const fields = line => line.split(/\s+/).map(field => field.replace(/^"|"$/g, ''));
+  let inBlock = false;
+  for (const line of text.split(/\r?\n/).map(raw => raw.replace(/\/\/.*$/, '').trim())) {
+    if (inBlock) {
+      if (line === ')') {
+        inBlock = false;
+      } else if (line) {
+        entries.push(fields(line));
+      }
+    } else if (new RegExp(`^${directive}\\s*\\($`).test(line)) {
+      inBlock = true;
+    } else if (line.startsWith(`${directive} `)) {
+      entries.push(fields(line.slice(directive.length).trim()));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the crates a Cargo.toml depends on, including target-specific and
+ * workspace dependencies and the dependencies of the workspace members
+ */
+function readCargoManifests(dir, crates) {
+  const readManifest = manifestDir => {
+    const manifestPath = path.join(manifestDir, 'Cargo.toml');
+    if (!pathExists(manifestPath)) return {};
+    try {
+      return parseToml(readText(manifestPath));
+    } catch (error) {
+      console.log(`  ⚠️ Could not read ${manifestPath}: ${error.message}`);
+      return {};
+    }
+  };
+  const addDependencies = manifest => {
+    for (const table of [manifest, manifest.workspace || {}, ...Object.values(manifest.target || {})]) {
+      for (const key of ['dependencies', 'dev-dependencies', 'build-dependencies']) {
+        for (const [crate, spec] of Object.entries(table[key] || {})) {
+          // A renamed dependency names its crate in `package`
+          crates[spec.package || crate] = typeof spec === 'string' ? spec : spec.version || '*';
+        }
+      }
+    }
+  };
+  
+  const root = readManifest(dir);
+  addDependencies(root);
+  for (const member of (root.workspace || {}).members || []) {
+    expandWorkspacePattern(path.posix.join(dir, member)).forEach(memberDir => addDependencies(readManifest(memberDir)));
+  }
+  return root.package && typeof root.package.name === 'string' ? root.package.name : null;
+}
+
+/**
+ * Read the dependencies, plugins and parent of pom.xml and of its modules
+ */
+function readMavenManifests(dir, artifacts, seen = new Set()) {
+  const pomPath = path.resolve(dir, 'pom.xml');
+  if (seen.has(pomPath) || !pathExists(pomPath)) return null;
+  seen.add(pomPath);
+  
+  const pom = readText(pomPath).replace(/<!--[\s\S]*?-->/g, '');
+  const tag = (xml, name) => {
+    const match = new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(xml);
+    return match ? match[1] : null;
+  };
+  for (const [, , block] of pom.matchAll(/<(dependency|plugin|parent)>([\s\S]*?)<\/\1>/g)) {
+    addJvmArtifact(artifacts, tag(block, 'groupId'), tag(block, 'artifactId'), tag(block, 'version'));
+  }
+  for (const [, module] of pom.matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)) {
+    readMavenManifests(path.join(dir, module), artifacts, seen);
+  }
+  // The project's own artifactId is the one outside the parent, dependency and build sections
+  return tag(pom.replace(/<(parent|dependencies|dependencyManagement|build|profiles|reporting)>[\s\S]*?<\/\1>/g, ''), 'artifactId');
+}
+
+/**
+ * Read the dependencies and plugins of build.gradle(.kts), of the projects
+ * the settings include, and of the gradle/libs.versions.toml version catalog
+ */
+function readGradleManifests(dir, artifacts) {
+  const settings = readOptionalText(path.join(dir, 'settings.gradle.kts')) || readOptionalText(path.join(dir, 'settings.gradle')) || '';
+  const projectDirs = [dir];
+  for (const [include] of settings.matchAll(/^\s*include\b.*$/gm)) {
+    for (const [, projectPath] of include.matchAll(/['"]:?([^'"]+)['"]/g)) {
+      projectDirs.push(path.join(dir, ...projectPath.split(':')));
+    }
+  }
+  
+  for (const projectDir of projectDirs) {
+    const build = readOptionalText(path.join(projectDir, 'build.gradle.kts')) || readOptionalText(path.join(projectDir, 'build.gradle'));
+    if (!build) continue;
+    for (const [, group, artifact, version] of build.matchAll(/['"]([\w.-]+):([\w.-]+)(?::([^'"@:]+))?(?:@\w+)?['"]/g)) {
+      addJvmArtifact(artifacts, group, artifact, version);
+    }
+    for (const [, group, artifact] of build.matchAll(/group\s*[:=]\s*['"]([^'"]+)['"]\s*,\s*name\s*[:=]\s*['"]([^'"]+)['"]/g)) {
+      addJvmArtifact(artifacts, group, artifact);
+    }
+    for (const [, id] of build.matchAll(/(?:\bid\s*\(?|\bapply\s+plugin\s*:)\s*['"]([\w.-]+)['"]/g)) {
+      artifacts[id] = '*';
+    }
+    // kotlin("jvm") is shorthand for the org.jetbrains.kotlin.jvm plugin
+    for (const [, id] of build.matchAll(/\bkotlin\s*\(\s*"([\w.-]+)"\s*\)/g)) {
+      artifacts[`org.jetbrains.kotlin.${id}`] = '*';
+    }
+  }
+  
+  const catalogPath = path.join(dir, 'gradle', 'libs.versions.toml');
+  if (pathExists(catalogPath)) {
+    try {
+      const catalog = parseToml(readText(catalogPath));
+      for (const library of Object.values(catalog.libraries || {})) {
+        const [group, artifact] = typeof library === 'string' ? library.split(':') : (library.module || '').split(':');
+        addJvmArtifact(artifacts, library.group || group, library.name || artifact);
+      }
+      for (const plugin of Object.values(catalog.plugins || {})) {
+        const id = typeof plugin === 'string' ? plugin.split(':')[0] : plugin.id;
+        if (id) artifacts[id] = '*';
+      }
+    } catch (error) {
+      console.log(`  ⚠️ Could not read ${catalogPath}: ${error.message}`);
+    }
+  }
+  
+  const rootProject = /rootProject\.name\s*=\s*['"]([^'"]+)['"]/.exec(settings);
+  return rootProject ? rootProject[1] : null;
+}
+
+/**
+ * Record a JVM artifact as group:artifact and as its group
+ */
+function addJvmArtifact(artifacts, group, artifact, version) {
+  if (!group || !artifact) return;
+  artifacts[`${group}:${artifact}`] = version || '*';
+  artifacts[group] = version || '*';
+}
+
+/**
+ * Read the gems a Gemfile declares
+ */
+function readGemfile(dir, gems) {
+  const gemfile = readOptionalText(path.join(dir, 'Gemfile')) || '';
+  for (const [, gem, version] of gemfile.matchAll(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/gm)) {
+    gems[gem] = version || '*';
+  }
+}
+
+/**
+ * Read the packages composer.json requires, and its package name
+ */
+function readComposerManifest(dir, packages) {
+  const manifestPath = path.join(dir, 'composer.json');
+  if (!pathExists(manifestPath)) return null;
+  try {
+    const composer = JSON.parse(readText(manifestPath));
+    Object.assign(packages, composer.require, composer['require-dev']);
+    return composer.name || null;
+  } catch (error) {
+    console.log(`  ⚠️ Could not read ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the SDK and the package and framework references of the .NET project
+ * files in a directory and of the projects its solution files list. Each one
+ * is also recorded under its dotted prefixes, so
+ * Microsoft.EntityFrameworkCore.SqlServer matches Microsoft.EntityFrameworkCore.
+ */
+function readDotnetProjects(dir, packages) {
+  const entries = fs.readdirSync(dir);
+  const projectFiles = entries.filter(file => /\.(cs|fs|vb)proj$/.test(file)).map(file => path.join(dir, file));
+  for (const solution of entries.filter(file => file.endsWith('.sln'))) {
+    for (const [, projectPath] of readText(path.join(dir, solution)).matchAll(/"([^"]+\.(?:cs|fs|vb)proj)"/g)) {
+      projectFiles.push(path.join(dir, ...projectPath.split(/[\\/]/)));
+    }
+  }
+  const add = reference => {
+    const parts = reference.split('.');
+    parts.forEach((part, index) => {
+      packages[parts.slice(0, index + 1).join('.')] = '*';
+    });
+  };
+  
+  for (const projectFile of new Set(projectFiles)) {
+    const project = readOptionalText(projectFile);
+    if (!project) continue;
+    const sdk = /<Project\b[^>]*\sSdk="([^"/]+)/.exec(project);
+    if (sdk) add(sdk[1]);
+    for (const [, reference] of project.matchAll(/<(?:PackageReference|FrameworkReference)\s+Include="([^"]+)"/g)) {
+      add(reference);
+    }
+  }
+}
+
+/**
+ * Parse a TOML document into plain objects. Covers what Python and Cargo
+ * manifests use: tables, arrays of tables, dotted and quoted keys, strings, numbers,
+ * booleans, arrays and inline tables. Dates and times are kept as strings.
+ */
+function parseToml(text) {
+  const root = {};
+  let table = root;
+  let pos = 0;
+  
+  const fail = message => {
+    throw new Error(`${message} on line ${text.slice(0, pos).split('\n').length}`);
+  };
+  const skipSpace = newlines => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === ' ' || char === '\t' || char === '\r' || (newlines && char === '\n')) {
+        pos++;
+      } else if (char === '#') {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else {
+        break;
+      }
+    }
+  };
+  const descend = (target, key) => {
+    if (target[key] === undefined) target[key] = {};
+    const next = Array.isArray(target[key]) ? target[key][target[key].length - 1] : target[key];
+    if (typeof next !== 'object' || next === null) fail(`"${key}" is not a table`);
+    return next;
+  };
+  
+  const parseString = () => {
+    const quote = text[pos];
+    const delimiter = text.startsWith(quote.repeat(3), pos) ? quote.repeat(3) : quote;
+    const multiline = delimiter.length === 3;
+    pos += delimiter.length;
+    // A newline right after the opening delimiter is not part of the string
+    if (multiline && text.startsWith('\r\n', pos)) pos += 2;
+    else if (multiline && text[pos] === '\n') pos++;
+    
+    let value = '';
+    while (!text.startsWith(delimiter, pos)) {
+      if (pos >= text.length || (!multiline && text[pos] === '\n')) fail('Unterminated string');
+      const char = text[pos++];
+      if (char !== '\\' || quote === "'") {
+        value += char;
+        continue;
+      }
+      const escape = text[pos++];
+      if (escape === 'u' || escape === 'U') {
+        const length = escape === 'u' ? 4 : 8;
+        value += String.fromCodePoint(parseInt(text.slice(pos, pos + length), 16));
+        pos += length;
+      } else if (multiline && /\s/.test(escape)) {
+        // A backslash at the end of a line trims the line break and leading whitespace
+        while (/\s/.test(text[pos])) pos++;
+      } else if ('btnfr"\\'.includes(escape)) {
+        value += { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' }[escape];
+      } else {
+        fail(`Invalid escape \\${escape}`);
+      }
+    }
+    pos += delimiter.length;
+    return value;
+  };
+  
+  const parseKey = () => {
+    const keys = [];
+    do {
+      skipSpace(false);
+      if (text[pos] === '"' || text[pos] === "'") {
+        keys.push(parseString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(text.slice(pos, pos + 256));
+        if (!match) fail('Expected a key');
+        keys.push(match[0]);
+        pos += match[0].length;
+      }
+      skipSpace(false);
+    } while (text[pos] === '.' && ++pos);
+    return keys;
+  };
+  
+  const parseValue = () => {
+    const char = text[pos];
+    if (char === '"' || char === "'") {
+      return parseString();
+    }
+    if (char === '[') {
+      const items = [];
+      pos++;
+      skipSpace(true);
+      while (text[pos] !== ']') {
+        items.push(parseValue());
+        skipSpace(true);
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace(true);
+        } else if (text[pos] !== ']') {
+          fail('Expected , or ] in array');
+        }
+      }
+      pos++;
+      return items;
+    }
+    if (char === '{') {
+      const inline = {};
+      pos++;
+      skipSpace(false);
+      while (text[pos] !== '}') {
+        assignValue(inline);
+        skipSpace(false);
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace(false);
+        } else if (text[pos] !== '}') {
+          fail('Expected , or } in inline table');
+        }
+      }
+      pos++;
+      return inline;
+    }
+    
+    const match = /^[^\s,\]}#]+/.exec(text.slice(pos, pos + 256));
+    if (!match) fail('Expected a value');
+    pos += match[0].length;
+    if (match[0] === 'true' || match[0] === 'false') {
+      return match[0] === 'true';
+    }
+    const number = Number(match[0].replace(/_/g, ''));
+    return Number.isNaN(number) ? match[0] : number;
+  };
+  
+  const assignValue = target => {
+    const keys = parseKey();
+    if (text[pos] !== '=') fail('Expected =');
+    pos++;
+    skipSpace(false);
+    const parent = keys.slice(0, -1).reduce(descend, target);
+    parent[keys[keys.length - 1]] = parseValue();
+  };
+  
+  while (true) {
+    skipSpace(true);
+    if (pos >= text.length) break;
+    
+    if (text[pos] === '[') {
+      // [table] or [[array of tables]]
+      const isArray = text[pos + 1] === '[';
+      pos += isArray ? 2 : 1;
+      const keys = parseKey();
+      if (!text.startsWith(isArray ? ']]' : ']', pos)) fail('Expected ] after table name');
+      pos += isArray ? 2 : 1;
+      const parent = keys.slice(0, -1).reduce(descend, root);
+      const last = keys[keys.length - 1];
+      if (isArray) {
+        if (parent[last] === undefined) parent[last] = [];
+        if (!Array.isArray(parent[last])) fail(`"${last}" is not an array of tables`);
+        parent[last].push({});
+      }
+      table = descend(parent, last);
+    } else {
+      assignValue(table);
+    }
+    
+    skipSpace(false);
+    if (pos < text.length && text[pos] !== '\n') fail('Expected a new line');
+  }
+  return root;
+}
+
+/**
+ * Run detection on every workspace package of a monorepo and work out which
+ * packages depend on each other
+ */
+function analyzeWorkspaces() {
+  const workspaces = [];
+  const dependencies = new Map();
+  for (const dir of findWorkspacePackages()) {
+    let manifest;
+    try {
+      manifest = readPackageManifest(dir);
+    } catch (error) {
+      console.log(`  ⚠️ Skipping workspace ${dir}: ${error.message}`);
+      continue;
+    }
+  
+    const findings = runDetectors(dir, manifest);
+    const workspace = {
+      name: manifest.name || path.posix.basename(dir),
+      path: dir,
+      ...summarizeFindings(findings, selectStacks(findings)),
+      findings,
+      dependsOn: []
+    };
+    dependencies.set(workspace, Object.keys(manifest.deps));
+    workspaces.push(workspace);
+  }
+  
+  for (const workspace of workspaces) {
+    workspace.dependsOn = workspaces
+      .filter(other => other !== workspace && dependencies.get(workspace).includes(other.name))
+      .map(other => other.name);
+    console.log(`  ✓ Workspace ${workspace.path} (${workspace.name}): ${workspace.type}`);
+  }
+  return workspaces;
+}
+
+/**
+ * Apply the name, type, framework and pattern overrides from the project config
+ */
+function applyProjectOverrides(projectInfo) {
+  const { name, type, frameworks, patterns } = runtime.projectConfig;
+  
+  if (name) projectInfo.name = name;
+  if (type) {
+    projectInfo.type = type;
+    projectInfo.stacks = [type, ...projectInfo.stacks.filter(stack => stack !== type)];
+  }
+  
+  if (frameworks) {
+    const removed = frameworks.remove || [];
+    projectInfo.frameworks = projectInfo.frameworks.filter(framework => !removed.includes(framework));
+    for (const framework of frameworks.add || []) {
+      if (!projectInfo.frameworks.includes(framework)) projectInfo.frameworks.push(framework);
+    }
+  }
+  
+  // A string forces a pattern, false or null suppresses a detected one
+  for (const [key, value] of Object.entries(patterns || {})) {
+    projectInfo.patterns[key] = value || null;
+  }
+}
+
+/**
+ * Run the framework detectors against a package directory and its manifest
+ * dependencies, and return the findings that reach the confidence threshold,
+ * in detector order
+ */
+function runDetectors(dir, { deps, pythonDeps, libraries }) {
+  const sources = {};
+  const readSources = ext => {
+    if (!sources[ext]) {
+      sources[ext] = fs.readdirSync(dir)
+        .map(file => path.join(dir, file))
+        .filter(file => path.extname(file) === ext && fs.statSync(file).isFile())
+        .map(file => readText(file));
+    }
+    return sources[ext];
+  };
+  const matches = signal => {
+    if (signal.dep) return Boolean(deps[signal.dep]);
+    if (signal.pip) return Boolean(pythonDeps[signal.pip]);
+    const library = Object.keys(libraries).find(kind => signal[kind]);
+    if (library) return Boolean(libraries[library][signal[library]]);
+    if (signal.config) {
+      const configPath = path.join(dir, signal.config);
+      return pathExists(configPath) && (!signal.match || signal.match.test(readText(configPath)));
+    }
+    if (signal.file) return pathExists(path.join(dir, signal.file));
+    return readSources(signal.ext).some(source => source.includes(signal.code));
+  };
+  
+  const findings = [];
+  for (const detector of DETECTORS) {
+    const matched = detector.signals.filter(matches);
+    // Every matched signal independently raises the confidence towards 1
+    const confidence = 1 - matched.reduce((doubt, signal) => doubt * (1 - getSignalWeight(signal)), 1);
+    if (confidence >= DETECTION_THRESHOLD) {
+      findings.push({ detector, confidence, signals: matched.map(describeSignal) });
+    }
+  }
+  return findings.filter(finding => (finding.detector.requires || [])
+    .every(id => findings.some(other => other.detector.id === id)));
+}
+
+/**
+ * Combine findings from several packages, keeping the most confident finding
+ * of each detector
+ */
+function mergeFindings(lists) {
+  const merged = [];
+  for (const detector of DETECTORS) {
+    const candidates = lists.flat().filter(finding => finding.detector === detector);
+    if (candidates.length > 0) {
+      merged.push(candidates.reduce((best, finding) => (finding.confidence > best.confidence ? finding : best)));
+    }
+  }
+  return merged;
+}
+
+/**
+ * Weight of a detector signal
+ */
+function getSignalWeight(signal) {
+  return signal.weight || SIGNAL_WEIGHTS[Object.keys(SIGNAL_WEIGHTS).find(kind => kind in signal)];
+}
+
+/**
+ * Describe a matched signal for the analysis log
+ */
+function describeSignal(signal) {
+  const dependency = ['dep', 'pip', 'go', 'crate', 'maven', 'gem', 'composer', 'nuget'].find(kind => signal[kind]);
+  if (dependency) return signal[dependency];
+  if (signal.code) return `${signal.code} in *${signal.ext}`;
+  return signal.config || signal.file;
+}
+
+/**
+ * Pick the stacks to report from the findings: one finding per stack, without
+ * stacks another one includes, ordered by rank and then confidence
+ */
+function selectStacks(findings) {
+  const matched = new Set(findings.map(finding => finding.detector.id));
+  const included = new Set();
+  const collect = ids => ids.forEach(id => {
+    const detector = DETECTORS.find(candidate => candidate.id === id);
+    if (matched.has(id) && !included.has(id)) {
+      included.add(id);
+      collect(detector.includes || []);
+    }
+  });
+  findings.forEach(finding => collect(finding.detector.includes || []));
+  
+  const stacks = [];
+  for (const finding of findings) {
+    if (!finding.detector.stack || included.has(finding.detector.id)) continue;
+    const existing = stacks.find(stack => stack.detector.stack === finding.detector.stack);
+    if (!existing) {
+      stacks.push(finding);
+    } else if (finding.confidence > existing.confidence) {
+      stacks[stacks.indexOf(existing)] = finding;
+    }
+  }
+  return stacks.sort((a, b) => b.detector.rank - a.detector.rank || b.confidence - a.confidence);
+}
+
+/**
+ * Turn detector findings into the project type, stacks, frameworks, testing
+ * tools and patterns. Each pattern comes from its most confident finding.
+ */
+function summarizeFindings(findings, stacks) {
+  const summary = {
+    type: stacks.length > 0 ? stacks[0].detector.stack : 'unknown',
+    stacks: stacks.map(finding => finding.detector.stack),
+    frameworks: [],
+    testing: [],
+    patterns: { auth: null, dataManagement: null, ui: null },
+    detections: findings.map(finding => ({
+      id: finding.detector.id,
+      confidence: Math.round(finding.confidence * 100) / 100,
+      signals: finding.signals
+    }))
+  };
+  const confidence = {};
+  
+  for (const { detector, confidence: score } of findings) {
+    for (const framework of detector.frameworks || []) {
+      if (!summary.frameworks.includes(framework)) summary.frameworks.push(framework);
+    }
+    for (const tool of detector.testing || []) {
+      if (!summary.testing.includes(tool)) summary.testing.push(tool);
+    }
+    for (const [key, value] of Object.entries(detector.patterns || {})) {
+      if (!summary.patterns[key] || score > confidence[key]) {
+        summary.patterns[key] = value;
+        confidence[key] = score;
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Detectors for the project's stacks, each followed by the stacks it includes
+ */
+function getStackDetectors(projectInfo) {
+  const detectors = [];
+  const add = detector => {
+    if (detectors.includes(detector)) return;
+    detectors.push(detector);
+    (detector.includes || []).forEach(id => add(DETECTORS.find(candidate => candidate.id === id)));
+  };
+  for (const stack of projectInfo.stacks) {
+    const detector = DETECTORS.find(candidate => candidate.stack === stack && (candidate.globs || candidate.practices));
+    if (detector) add(detector);
+  }
+  return detectors;
+}
+
+/**
+ * Quoted globs for a rule, combining the project's stacks and optionally scoped
+ * to a directory. A stack without globs for the rule inherits them from the
+ * stacks it includes.
+ */
+function getRuleGlobs(projectInfo, ruleId, baseDir) {
+  const globs = new Set();
+  for (const stack of projectInfo.stacks) {
+    const detector = getStackDetectors({ stacks: [stack] }).find(candidate => candidate.globs && candidate.globs[ruleId]);
+    if (detector) detector.globs[ruleId].forEach(glob => globs.add(glob));
+  }
+  const scoped = [...(globs.size > 0 ? globs : DEFAULT_RULE_GLOBS[ruleId])].map(glob => (baseDir ? `${baseDir}/${glob}` : glob));
+  return `"${scoped.join(',')}"`;
+}
+
+/**
+ * Helper function to find a directory recursively
+ */
+function findDir(baseDir, targetDir, maxDepth = 3) {
+  if (maxDepth <= 0) return false;
+  
+  try {
+    const entries = fs.readdirSync(baseDir);
+    
+    // Check if current level has the target directory
+    if (entries.includes(targetDir) && 
+        fs.statSync(path.join(baseDir, targetDir)).isDirectory()) {
+      return true;
+    }
+    
+    // Check subdirectories
+    for (const entry of entries) {
+      const fullPath = path.join(baseDir, entry);
+      if (fs.statSync(fullPath).isDirectory() && 
+          !entry.startsWith('.') && 
+          entry !== 'node_modules') {
+        if (findDir(fullPath, targetDir, maxDepth - 1)) {
+          return true;
+        }
+      }
+    }
+  } catch (e) {
+    // Ignore errors
+  }
+  
+  return false;
+}
+
+/**
+ * Extract useful context from project documentation
+ */
+function extractProjectContext() {
+  console.log('📄 Extracting project context from documentation...');
+  
+  let context = "";
+  
+  // Extract from README
+  if (fs.existsSync('README.md')) {
+    console.log('  ✓ Found README.md, extracting context');
+    const readme = fs.readFileSync('README.md', 'utf8');
+    
+    // Extract project title
+    const titleMatch = readme.match(/^# (.+)$/m);
+    if (titleMatch) {
+      context += `Project title: ${titleMatch[1]}\n\n`;
+    }
+    
+    // Extract project description
+    const descriptionMatch = readme.match(/^# .+\n\n(.+?)(\n\n|$)/m);
+    if (descriptionMatch) {
+      context += `Project description: ${descriptionMatch[1]}\n\n`;
+    }
+    
+    // Add reference to README
+    context += `README.md found in project root.\n`;
+  }
+  
+  // Check for architecture docs
+  const docFiles = ['ARCHITECTURE.md', 'docs/architecture.md', 'DESIGN.md', 'docs/design.md'];
+  for (const file of docFiles) {
+    if (fs.existsSync(file)) {
+      console.log(`  ✓ Found ${file}, adding reference`);
+      context += `Architecture documentation found at ${file}.\n`;
+      break;
+    }
+  }
+  
+  // Check for contribution guidelines
+  if (fs.existsSync('CONTRIBUTING.md')) {
+    console.log('  ✓ Found CONTRIBUTING.md, adding reference');
+    context += `Contribution guidelines found at CONTRIBUTING.md.\n`;
+  }
+  
+  return context || "No detailed project documentation found.";
+}
+
+/**
+ * Create necessary directories
+ */
+function createDirectories() {
+  console.log('📁 Creating project directories...');
+  
+  // Create .mcp directory
+  if (!pathExists(CONFIG.memoryDirName)) {
+    makeDir(CONFIG.memoryDirName);
+    logDone(`  ✓ Created ${CONFIG.memoryDirName} directory`);
+  } else {
+    console.log(`  ✓ ${CONFIG.memoryDirName} directory already exists`);
+  }
+  
+  // Create .mcp/backups directory for memory backups
+  const backupDir = path.join(CONFIG.memoryDirName, 'backups');
+  if (!pathExists(backupDir)) {
+    makeDir(backupDir);
+    logDone(`  ✓ Created ${backupDir} directory for memory backups`);
+  }
+  
+  // Create .cursor/rules directory
+  if (!pathExists(CONFIG.rulesDirName)) {
+    makeDir(CONFIG.rulesDirName);
+    logDone(`  ✓ Created ${CONFIG.rulesDirName} directory`);
+  } else {
+    console.log(`  ✓ ${CONFIG.rulesDirName} directory already exists`);
+  }
+}
+
+/**
+ * Register the selected MCP servers with every selected client
+ */
+function configureClients(projectInfo) {
+  console.log('⚙️ Configuring MCP clients...');
+  
+  for (const client of runtime.clients) {
+    if (!client.urls && CONFIG.mcpTransport !== 'stdio') {
+      console.log(`  ⚠️ ${client.name} cannot connect to a URL, it launches the memory server over stdio instead`);
+    }
+  }
+  for (const target of getClientTargets()) {
+    if (target.fallback) {
+      console.log(`  ⚠️ ${target.client.name} has no ${runtime.scope} configuration, using ${target.configPath}`);
+    }
+    if (target.client.id === 'cursor' && target.global) {
+      removeLegacyCursorEntries();
+    }
+    configureClient(target, projectInfo);
+  }
+}
+
+/**
+ * Add or update this project's servers in one client configuration file. The
+ * project file is shared through the repository, the user-level file has one
+ * named entry per checkout and is backed up before it changes.
+ */
+function configureClient({ client, scope, global, configPath }, projectInfo) {
+  // Read the existing configuration so other servers and settings are preserved
+  let config = {};
+  let previous = null;
+  if (pathExists(configPath)) {
+    previous = readText(configPath);
+    try {
+      config = parseClientConfig(client, previous);
+    } catch (error) {
+      console.log(`  ⚠️ Could not parse ${configPath}, leaving it untouched: ${error.message}`);
+      return;
+    }
+  } else if (!pathExists(path.dirname(configPath))) {
+    makeDir(path.dirname(configPath));
+  }
+  const servers = { ...config[client.serversKey] };
+  
+  // Project files resolve ${workspaceFolder} to wherever the repository is checked out
+  const context = createServerContext(scope, client);
+  const written = [];
+  for (const server of runtime.servers) {
+    const entry = server.config(context);
+    const serverName = global
+      ? findGlobalServerName(servers, server, entry) || getGlobalServerNames(server, projectInfo.name).find(name => !servers[name])
+      : server.name;
+    const existed = Boolean(servers[serverName]);
+    servers[serverName] = client.format(entry);
+    written.push(serverName);
+    logDone(`  ✓ ${existed ? 'Updated' : 'Added'} MCP server "${serverName}" in ${client.name} ${scope} configuration at: ${configPath}`);
+  }
+  
+  const content = serializeClientConfig(client, previous, servers);
+  if (global && previous !== null && previous !== content) {
+    backupFile(configPath, previous);
+  }
+  writeText(configPath, content);
+  if (global) {
+    recordGlobalServerEntries(configPath, written);
+  }
+}
+
+/**
+ * Parse a client configuration file, as JSON or JSON with comments
+ */
+function parseClientConfig(client, content) {
+  if (!content.trim()) {
+    return {};
+  }
+  const config = client.jsonc ? parseJsonc(content) : JSON.parse(content);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('expected a JSON object');
+  }
+  return config;
+}
+
+/**
+ * Split JSON with comments (as in editor settings files) into tokens with their
+ * positions, skipping whitespace and comments
+ */
+function tokenizeJsonc(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (text.startsWith('//', index)) {
+      const end = text.indexOf('\n', index);
+      index = end < 0 ? text.length : end;
+    } else if (text.startsWith('/*', index)) {
+      const end = text.indexOf('*/', index + 2);
+      if (end < 0) throw new Error('Unterminated comment');
+      index = end + 2;
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) throw new Error('Unterminated string');
+      tokens.push({ type: 'string', start: index, end: end + 1 });
+      index = end + 1;
+    } else if ('{}[]:,'.includes(char)) {
+      tokens.push({ type: char, start: index, end: index + 1 });
+      index++;
+    } else {
+      const match = /^[^\s{}[\]:,"/]+/.exec(text.slice(index));
+      if (!match) throw new Error(`Unexpected character ${char} at position ${index}`);
+      tokens.push({ type: 'literal', start: index, end: index + match[0].length });
+      index += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas
+ */
+function parseJsonc(text) {
+  const tokens = tokenizeJsonc(text);
+  const json = tokens
+    .filter((token, index) => token.type !== ',' || !tokens[index + 1] || !['}', ']'].includes(tokens[index + 1].type))
+    .map(token => text.slice(token.start, token.end))
+    .join(' ');
+  return JSON.parse(json);
+}
+
+/**
+ * Find the members of the object that starts at a token: their key and the
+ * first and last token of their value, and where the object closes
+ */
+function findJsoncMembers(text, tokens, open) {
+  const members = [];
+  let index = open + 1;
+  while (index < tokens.length && tokens[index].type !== '}') {
+    const keyToken = tokens[index];
+    if (keyToken.type === ',') {
+      index++;
+      continue;
+    }
+    if (keyToken.type !== 'string' || !tokens[index + 1] || tokens[index + 1].type !== ':') {
+      throw new Error(`Unexpected token at position ${keyToken.start}`);
+    }
+    
+    // The value runs until the next comma or brace at this depth
+    let end = index + 2;
+    for (let nested = 0; end < tokens.length; end++) {
+      const type = tokens[end].type;
+      if (nested === 0 && (type === ',' || type === '}')) break;
+      if (type === '{' || type === '[') nested++;
+      if (type === '}' || type === ']') nested--;
+    }
+    members.push({ key: JSON.parse(text.slice(keyToken.start, keyToken.end)), keyIndex: index, valueIndex: index + 2, lastIndex: end - 1 });
+    index = end;
+  }
+  if (index >= tokens.length) {
+    throw new Error('Unterminated object');
+  }
+  return { members, closing: index };
+}
+
+/**
+ * Find the object at a key path of a JSON-with-comments document
+ */
+function findJsoncObject(text, tokens, keyPath) {
+  if (!tokens.length || tokens[0].type !== '{') {
+    throw new Error('expected a JSON object');
+  }
+  
+  let open = 0;
+  for (const key of keyPath) {
+    const member = findJsoncMembers(text, tokens, open).members.find(candidate => candidate.key === key);
+    if (!member || tokens[member.valueIndex].type !== '{') {
+      throw new Error(`expected an object at ${keyPath.join('.')}`);
+    }
+    open = member.valueIndex;
+  }
+  return { open, ...findJsoncMembers(text, tokens, open) };
+}
+
+/**
+ * Set a property of a JSON-with-comments document, given by its key path,
+ * keeping the comments and formatting of everything else. The objects on the
+ * path must exist.
+ */
+function setJsoncProperty(text, keyPath, value) {
+  const tokens = tokenizeJsonc(text);
+  const key = keyPath[keyPath.length - 1];
+  const { open, members, closing } = findJsoncObject(text, tokens, keyPath.slice(0, -1));
+  
+  // Indent like the file: the unit of its top-level members, and the members of this object
+  const lineIndent = token => {
+    const start = text.lastIndexOf('\n', token.start - 1) + 1;
+    return text.slice(start, token.start).replace(/\S.*$/, '');
+  };
+  const topLevel = findJsoncMembers(text, tokens, 0).members;
+  const unit = (topLevel.length > 0 && lineIndent(tokens[topLevel[0].keyIndex])) || '  ';
+  const indent = members.length > 0
+    ? lineIndent(tokens[members[0].keyIndex])
+    : lineIndent(tokens[open]) + unit;
+  const formatted = JSON.stringify(value, null, unit).split('\n').join(`\n${indent}`);
+  
+  const existing = members.find(member => member.key === key);
+  if (existing) {
+    return text.slice(0, tokens[existing.valueIndex].start) + formatted + text.slice(tokens[existing.lastIndex].end);
+  }
+  const member = `${JSON.stringify(key)}: ${formatted}`;
+  const last = tokens[closing - 1];
+  if (last.type === '{') {
+    return `${text.slice(0, last.end)}\n${indent}${member}\n${lineIndent(tokens[open])}${text.slice(tokens[closing].start)}`;
+  }
+  // Add the member after the last one, below a comment that ends its line
+  const newline = text.indexOf('\n', last.end);
+  const lineEnd = newline >= 0 ? Math.min(newline, tokens[closing].start) : tokens[closing].start;
+  const separator = last.type === ',' ? '' : ',';
+  return `${text.slice(0, last.end)}${separator}${text.slice(last.end, lineEnd)}\n${indent}${member}${text.slice(lineEnd)}`;
+}
+
+/**
+ * Remove a property of a JSON-with-comments document, given by its key path,
+ * along with its line and a comment at the end of that line
+ */
+function removeJsoncProperty(text, keyPath) {
+  const tokens = tokenizeJsonc(text);
+  const { members } = findJsoncObject(text, tokens, keyPath.slice(0, -1));
+  const index = members.findIndex(member => member.key === keyPath[keyPath.length - 1]);
+  if (index < 0) {
+    return text;
+  }
+  
+  const member = members[index];
+  const comma = tokens[member.lastIndex + 1].type === ',' ? tokens[member.lastIndex + 1] : null;
+  let start = tokens[member.keyIndex].start;
+  let end = comma ? comma.end : tokens[member.lastIndex].end;
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const newline = text.indexOf('\n', end);
+  const lineEnd = newline < 0 ? text.length : newline;
+  if (!text.slice(lineStart, start).trim() && /^\s*(\/\/.*)?$/.test(text.slice(end, lineEnd))) {
+    start = lineStart;
+    end = newline < 0 ? lineEnd : newline + 1;
+  }
+  
+  // The last member leaves the comma of the one before it behind
+  let result = text.slice(0, start) + text.slice(end);
+  const previous = tokens[member.keyIndex - 1];
+  if (!comma && index === members.length - 1 && previous.type === ',') {
+    result = result.slice(0, previous.start) + result.slice(previous.end);
+  }
+  return result;
+}
+
+/**
+ * Make an object property of a JSON-with-comments document hold the given
+ * members, editing only the members that changed so that comments next to the
+ * others are kept
+ */
+function setJsoncMembers(text, key, members) {
+  const current = parseJsonc(text)[key];
+  if (!current || typeof current !== 'object' || Array.isArray(current)) {
+    return setJsoncProperty(text, [key], members);
+  }
+  
+  let result = text;
+  for (const name of Object.keys(current).filter(name => !Object.hasOwn(members, name))) {
+    result = removeJsoncProperty(result, [key, name]);
+  }
+  for (const [name, value] of Object.entries(members)) {
+    if (JSON.stringify(current[name]) !== JSON.stringify(value)) {
+      result = setJsoncProperty(result, [key, name], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Write the servers back into a client configuration file's content
+ */
+function serializeClientConfig(client, previous, servers) {
+  if (client.jsonc && previous && previous.trim()) {
+    return setJsoncMembers(previous, client.serversKey, servers);
+  }
+  const config = previous && previous.trim() ? parseClientConfig(client, previous) : {};
+  config[client.serversKey] = servers;
+  return JSON.stringify(config, null, 2);
+}
+
+/**
+ * Get the configuration files to write for the selected clients and scope.
+ * A client with only one kind of configuration uses it whatever the scope.
+ */
+function getClientTargets() {
+  const targets = [];
+  for (const client of runtime.clients) {
+    let scopes = ['project', 'global'].filter(scope => [scope, 'both'].includes(runtime.scope) && client[scope]);
+    const fallback = scopes.length === 0;
+    if (fallback) {
+      scopes = [client.project ? 'project' : 'global'];
+    }
+    for (const scope of scopes) {
+      const global = scope === 'global';
+      targets.push({ client, scope, global, fallback, configPath: global ? client.global() : client.project });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Remove this project's entries, and the single entry written by earlier
+ * versions of this script, from the file Cursor used to be configured in
+ */
+function removeLegacyCursorEntries() {
+  const configPath = getLegacyCursorConfigPath();
+  if (!pathExists(configPath)) {
+    return;
+  }
+  
+  let config;
+  const previous = readText(configPath);
+  try {
+    config = JSON.parse(previous);
+  } catch (error) {
+    return;
+  }
+  
+  const servers = config.mcpServers || {};
+  const context = createServerContext('global', CLIENTS.cursor);
+  const entries = runtime.servers
+    .map(server => findGlobalServerName(servers, server, server.config(context)))
+    .filter(Boolean);
+  entries.forEach(name => delete servers[name]);
+  const legacyServer = Boolean(config.mcp && config.mcp.server && /modelcontextprotocol-memory-server/.test(config.mcp.server.command));
+  if (legacyServer) {
+    delete config.mcp.server;
+    if (Object.keys(config.mcp).length === 0) delete config.mcp;
+  }
+  
+  if (entries.length > 0 || legacyServer) {
+    backupFile(configPath, previous);
+    writeText(configPath, JSON.stringify(config, null, 2));
+    logDone(`  ✓ Removed this project's entries from the old Cursor configuration at: ${configPath}`);
+  }
+}
+
+/**
+ * Create the values available to server config templates for a configuration scope
+ */
+function createServerContext(scope, client = CLIENTS.cursor) {
+  const project = scope === 'project';
+  const resolve = relativePath => (project
+    ? `\${workspaceFolder}/${relativePath.split(path.sep).join('/')}`
+    : path.resolve(relativePath));
+  
+  const [command, ...execArgs] = getPackageManager().exec;
+  
+  return {
+    projectDir: project ? '${workspaceFolder}' : process.cwd(),
+    // Node.js servers run from node_modules, or through npx in a project without package.json
+    npm: (packageName, binary, args = []) => (getEcosystem() === 'node'
+      ? { command, args: [...execArgs, binary, ...args] }
+      : { command: 'npx', args: ['-y', packageName, ...args] }),
+    // Python servers run through uvx, pipx or the project's virtual environment
+    python: (packageName, args = []) => {
+      const runner = getPythonRunner();
+      if (runner.name === 'pipx') return { command: 'pipx', args: ['run', packageName, ...args] };
+      if (runner.name === 'venv') return { command: resolve(getVenvExecutable(runner.venv, packageName)), args };
+      return { command: 'uvx', args: [packageName, ...args] };
+    },
+    memoryFilePath: resolve(path.join(CONFIG.memoryDirName, CONFIG.memoryFileName)),
+    // Clients that cannot connect to a URL launch the server themselves
+    transport: client.urls ? CONFIG.mcpTransport : 'stdio',
+    resolve,
+    // Committed project files reference variables instead of embedding their values
+    env: name => (project ? `\${env:${name}}` : process.env[name])
+  };
+}
+
+/**
+ * Get the candidate names of a server's entry in the global configuration:
+ * `<server>-<project>`, or with a suffix when another checkout already uses that name
+ */
+function getGlobalServerNames(server, projectName) {
+  const slug = projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+  const baseName = `${server.name}-${slug}`;
+  const suffix = crypto.createHash('sha1').update(process.cwd()).digest('hex').slice(0, 6);
+  return [baseName, `${baseName}-${suffix}`];
+}
+
+/**
+ * Find the entry name a selected server is configured under in a client
+ * configuration, or null
+ */
+function findConfiguredServerName(config, server, { client, scope, global }) {
+  const servers = config[client.serversKey] || {};
+  if (global) {
+    return findGlobalServerName(servers, server, server.config(createServerContext(scope, client)));
+  }
+  return servers[server.name] ? server.name : null;
+}
+
+/**
+ * Find the existing global entry of a server for this project, if any
+ */
+function findGlobalServerName(servers, server, entry, projectName = getProjectName()) {
+  const [baseName, suffixedName] = getGlobalServerNames(server, projectName);
+  
+  if (servers[suffixedName]) {
+    return suffixedName;
+  }
+  // Entries without project paths (e.g. fetch) are identical for every checkout
+  if (servers[baseName] && (isProjectEntry(servers[baseName]) || !isProjectEntry(entry))) {
+    return baseName;
+  }
+  return null;
+}
+
+/**
+ * Check whether a configuration entry refers to this project's directory
+ */
+function isProjectEntry(entry) {
+  return JSON.stringify(entry || {}).includes(JSON.stringify(process.cwd()).slice(1, -1));
+}
+
+/**
+ * Get the project name the same way analyzeProject() does
+ */
+function getProjectName() {
+  try {
+    return readPackageManifest('.').name || path.basename(process.cwd());
+  } catch (error) {
+    return path.basename(process.cwd());
+  }
+}
+
+/**
+ * Keep a timestamped copy of a file before it is modified
+ */
+function backupFile(filePath, content) {
+  const timestamp = new Date().toISOString().replace(/:/g, '-');
+  const backupPath = `${filePath}.${timestamp}.bak`;
+  writeText(backupPath, content);
+  logDone(`  ✓ Backed up previous ${path.basename(filePath)} to: ${backupPath}`);
+}
+
+/**
+ * Get the OS-specific directory desktop applications keep their settings in
+ */
+function getAppConfigDir(appName) {
+  if (os.platform() === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  if (os.platform() === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+/**
+ * Get the path earlier versions of this script wrote the global Cursor configuration to
+ */
+function getLegacyCursorConfigPath() {
+  return path.join(getAppConfigDir('Cursor'), 'User', 'claude_desktop_config.json');
+}
+
+/**
+ * Create utility scripts for memory management
+ */
+function createMemoryUtilities() {
+  console.log('🛠️ Creating memory utilities...');
+  
+  // Create the memory backup, restore and diff utility
+  const backupScriptPath = path.join(CONFIG.memoryDirName, 'backup-memory.js');
+  const backupScript = `#!/usr/bin/env node
+/**
+ * Back up, restore and compare the MCP memory file.
+ *
+ * Usage: node backup-memory.js [command] [options]
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const MEMORY_FILE = path.join(__dirname, ${JSON.stringify(CONFIG.memoryFileName)});
+const BACKUP_DIR = path.join(__dirname, 'backups');
+const BACKUP_PATTERN = /^memory-(\\d{4}-\\d{2}-\\d{2})T(\\d{2})-(\\d{2})-(\\d{2}(?:\\.\\d+)?)Z\\.json(\\.gz)?$/;
+
+// Retention policy written by setup; flags override it
+const DEFAULT_POLICY = ${JSON.stringify(getBackupPolicy())};
+
+const COMMANDS = {
+  backup: 'Back up the memory file and apply the retention policy (default)',
+  list: 'List backups, newest first',
+  restore: 'Restore a backup, after backing up the current memory file',
+  diff: 'Compare two backups (the second defaults to the current memory file)',
+  verify: 'Check every backup against its checksum',
+  prune: 'Apply the retention policy'
+};
+
+/**
+ * Parse command-line arguments into a command, its arguments and options
+ */
+function parseArgs(args) {
+  const parsed = { command: null, args: [], policy: { ...DEFAULT_POLICY }, force: false, help: false };
+  const readNumber = (flag, value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(\`\${flag} expects a whole number, got \${value}\`);
+    return number;
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--keep') parsed.policy.keep = readNumber(arg, args[++i]);
+    else if (arg === '--daily') parsed.policy.daily = readNumber(arg, args[++i]);
+    else if (arg === '--weekly') parsed.policy.weekly = readNumber(arg, args[++i]);
+    else if (arg === '--max-size') parsed.policy.maxSize = parseSize(args[++i]);
+    else if (arg === '--gzip') parsed.policy.gzip = true;
+    else if (arg === '--no-gzip') parsed.policy.gzip = false;
+    else if (arg === '--force') parsed.force = true;
+    else if (arg === '--help' || arg === '-h') parsed.help = true;
+    else if (arg.startsWith('-')) throw new Error(\`Unknown option: \${arg}\`);
+    else if (!parsed.command) parsed.command = arg;
+    else parsed.args.push(arg);
+  }
+
+  parsed.command = parsed.command || 'backup';
+  if (!COMMANDS[parsed.command]) throw new Error(\`Unknown command: \${parsed.command}\`);
+  return parsed;
+}
+
+/**
+ * Parse a size such as 500KB or 20MB into bytes (0 means unlimited)
+ */
+function parseSize(value) {
+  const match = /^(\\d+(?:\\.\\d+)?)\\s*(B|KB|MB|GB)?$/i.exec(String(value));
+  if (!match) throw new Error(\`Invalid size: \${value} (expected e.g. 500KB or 20MB)\`);
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(Number(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return \`\${bytes} B\`;
+  if (bytes < 1024 ** 2) return \`\${(bytes / 1024).toFixed(1)} KB\`;
+  return \`\${(bytes / 1024 ** 2).toFixed(1)} MB\`;
+}
+
+/**
+ * List backups, newest first
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .map(name => ({ name, match: BACKUP_PATTERN.exec(name) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({
+      name,
+      file: path.join(BACKUP_DIR, name),
+      date: new Date(\`\${match[1]}T\${match[2]}:\${match[3]}:\${match[4]}Z\`),
+      gzip: Boolean(match[5]),
+      size: fs.statSync(path.join(BACKUP_DIR, name)).size
+    }))
+    .sort((a, b) => b.date - a.date || b.name.localeCompare(a.name));
+}
+
+/**
+ * Compute a SHA-256 checksum
+ */
+function checksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Check a backup against its checksum file: true, false, or null without one
+ */
+function verifyBackup(backup) {
+  const checksumFile = \`\${backup.file}.sha256\`;
+  if (!fs.existsSync(checksumFile)) return null;
+  const expected = fs.readFileSync(checksumFile, 'utf8').split(/\\s+/)[0];
+  return checksum(fs.readFileSync(backup.file)) === expected;
+}
+
+/**
+ * Read the memory file content stored in a backup
+ */
+function readBackup(backup) {
+  const data = fs.readFileSync(backup.file);
+  return (backup.gzip ? zlib.gunzipSync(data) : data).toString('utf8');
+}
+
+/**
+ * Write a backup of the current memory file with its checksum file
+ */
+function createBackup(policy) {
+  if (!fs.existsSync(MEMORY_FILE)) {
+    console.log(\`No memory file found at \${MEMORY_FILE}\`);
+    return null;
+  }
+  if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/:/g, '-');
+  const name = \`memory-\${timestamp}.json\${policy.gzip ? '.gz' : ''}\`;
+  const file = path.join(BACKUP_DIR, name);
+  const content = fs.readFileSync(MEMORY_FILE);
+  const data = policy.gzip ? zlib.gzipSync(content) : content;
+
+  fs.writeFileSync(file, data);
+  fs.writeFileSync(\`\${file}.sha256\`, \`\${checksum(data)}  \${name}\\n\`);
+
+  let summary;
+  try {
+    summary = describeMemory(content.toString('utf8'));
+  } catch (error) {
+    summary = \`not a valid memory file: \${error.message}\`;
+  }
+  console.log(\`Memory backed up to \${path.relative(process.cwd(), file)} (\${summary})\`);
+  return file;
+}
+
+/**
+ * Select the backups a retention policy keeps: the newest \`keep\`, the newest of
+ * each of the last \`daily\` days and \`weekly\` weeks, all within \`maxSize\` bytes
+ */
+function selectRetained(backups, policy) {
+  const kept = new Set(backups.slice(0, policy.keep));
+  const keepNewestPer = (count, period) => {
+    const seen = new Set();
+    for (const backup of backups) {
+      const key = period(backup.date);
+      if (seen.has(key)) continue;
+      if (seen.size >= count) break;
+      seen.add(key);
+      kept.add(backup);
+    }
+  };
+  keepNewestPer(policy.daily, date => date.toISOString().slice(0, 10));
+  keepNewestPer(policy.weekly, date => Math.floor((date.getTime() / 86400000 + 3) / 7));
+
+  // Over the size limit, the oldest retained backups go first; the newest always stays
+  const retained = backups.filter(backup => kept.has(backup));
+  if (policy.maxSize > 0) {
+    let total = retained.reduce((sum, backup) => sum + backup.size, 0);
+    while (retained.length > 1 && total > policy.maxSize) {
+      total -= retained.pop().size;
+    }
+  }
+  return new Set(retained);
+}
+
+/**
+ * Delete the backups the retention policy does not keep
+ */
+function pruneBackups(policy) {
+  const backups = listBackups();
+  const retained = selectRetained(backups, policy);
+  const removed = backups.filter(backup => !retained.has(backup));
+  for (const backup of removed) {
+    fs.rmSync(backup.file, { force: true });
+    fs.rmSync(\`\${backup.file}.sha256\`, { force: true });
+  }
+  if (removed.length > 0) {
+    console.log(\`Removed \${removed.length} old backup(s), \${retained.size} kept\`);
+  }
+}
+
+/**
+ * Find a backup by its number in \`list\` (1 is the newest) or its file name
+ */
+function findBackup(reference) {
+  const backups = listBackups();
+  const backup = /^\\d+$/.test(reference)
+    ? backups[Number(reference) - 1]
+    : backups.find(item => item.name === reference || item.name === path.basename(reference));
+  if (!backup) throw new Error(\`No backup \${reference}, run \\\`list\\\` to see the available backups\`);
+  return backup;
+}
+
+/**
+ * Print the available backups
+ */
+function printBackups(backups) {
+  if (backups.length === 0) {
+    console.log('No backups yet');
+    return;
+  }
+  backups.forEach((backup, index) => {
+    const status = { true: 'ok', false: 'CHECKSUM MISMATCH', null: 'no checksum' }[verifyBackup(backup)];
+    console.log(\`\${String(index + 1).padStart(3)}  \${backup.date.toLocaleString()}  \${formatSize(backup.size).padStart(9)}  \${status.padEnd(17)}  \${backup.name}\`);
+  });
+}
+
+/**
+ * Ask the user to pick a backup by number
+ */
+function askForBackup() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question('Backup to restore (number, empty to cancel): ', answer => {
+    rl.close();
+    resolve(answer.trim());
+  }));
+}
+
+/**
+ * Restore a backup after checking it and backing up the current memory file
+ */
+async function restoreBackup(reference, options) {
+  if (!reference) {
+    printBackups(listBackups());
+    if (!process.stdin.isTTY) {
+      console.log('\\nRun \`restore <number>\` to restore one of these backups');
+      return;
+    }
+    reference = await askForBackup();
+    if (!reference) return;
+  }
+
+  const backup = findBackup(reference);
+  const verified = verifyBackup(backup);
+  if (verified === false && !options.force) {
+    throw new Error(\`\${backup.name} does not match its checksum, it may be corrupted (pass --force to restore it anyway)\`);
+  }
+  if (verified === null) {
+    console.log(\`Warning: \${backup.name} has no checksum file, it cannot be verified\`);
+  }
+
+  const content = readBackup(backup);
+  let summary;
+  try {
+    summary = describeMemory(content);
+  } catch (error) {
+    if (!options.force) throw new Error(\`\${backup.name} is not a valid memory file (\${error.message}), pass --force to restore it anyway\`);
+    summary = 'unparsed content';
+  }
+
+  createBackup(options.policy);
+  const temporary = \`\${MEMORY_FILE}.\${process.pid}.tmp\`;
+  fs.writeFileSync(temporary, content);
+  fs.renameSync(temporary, MEMORY_FILE);
+  console.log(\`Restored \${backup.name} (\${summary})\`);
+}
+
+/**
+ * Read the memory file, either a knowledge graph (one JSON entity or relation
+ * per line) or a legacy { entries } document, as entities and relations
+ */
+function parseMemory(text) {
+  try {
+    const document = JSON.parse(text);
+    if (document && Array.isArray(document.entries)) {
+      return {
+        format: 'entries',
+        entities: document.entries.map(entry => ({ name: String(entry.id), entityType: null, observations: [String(entry.content ?? '')] })),
+        relations: []
+      };
+    }
+  } catch (error) {
+    // Not a single JSON document, so it should be a knowledge graph
+  }
+  const items = text.split('\\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  return {
+    format: 'graph',
+    entities: items.filter(item => item.type === 'entity'),
+    relations: items.filter(item => item.type === 'relation')
+  };
+}
+
+/**
+ * Summarize a memory file
+ */
+function describeMemory(text) {
+  const memory = parseMemory(text);
+  return memory.format === 'entries'
+    ? \`\${memory.entities.length} legacy entries\`
+    : \`\${memory.entities.length} entities, \${memory.relations.length} relations\`;
+}
+
+/**
+ * Print the entities, observations and relations that differ between two memory files
+ */
+function diffMemory(before, after) {
+  const entities = memory => new Map(memory.entities.map(entity => [entity.name, entity]));
+  const relations = memory => new Set(memory.relations.map(relation => \`\${relation.from} \${relation.relationType} \${relation.to}\`));
+  const beforeEntities = entities(before);
+  const afterEntities = entities(after);
+  const lines = [];
+
+  for (const name of beforeEntities.keys()) {
+    if (!afterEntities.has(name)) lines.push(\`- entity \${name}\`);
+  }
+  for (const [name, entity] of afterEntities) {
+    const previous = beforeEntities.get(name);
+    if (!previous) {
+      lines.push(\`+ entity \${name}\${entity.entityType ? \` (\${entity.entityType})\` : ''}\`);
+      entity.observations.forEach(observation => lines.push(\`    + \${observation}\`));
+      continue;
+    }
+    const changes = [];
+    if (previous.entityType !== entity.entityType) changes.push(\`    type: \${previous.entityType} → \${entity.entityType}\`);
+    previous.observations.filter(observation => !entity.observations.includes(observation)).forEach(observation => changes.push(\`    - \${observation}\`));
+    entity.observations.filter(observation => !previous.observations.includes(observation)).forEach(observation => changes.push(\`    + \${observation}\`));
+    if (changes.length > 0) lines.push(\`~ entity \${name}\`, ...changes);
+  }
+
+  const beforeRelations = relations(before);
+  const afterRelations = relations(after);
+  beforeRelations.forEach(relation => { if (!afterRelations.has(relation)) lines.push(\`- relation \${relation}\`); });
+  afterRelations.forEach(relation => { if (!beforeRelations.has(relation)) lines.push(\`+ relation \${relation}\`); });
+
+  console.log(lines.length > 0 ? lines.join('\\n') : 'No differences');
+}
+
+/**
+ * Load the memory content for a diff side: a backup reference or \`current\`
+ */
+function readSide(reference) {
+  if (reference === 'current') {
+    return { label: 'current memory file', memory: parseMemory(fs.readFileSync(MEMORY_FILE, 'utf8')) };
+  }
+  const backup = findBackup(reference);
+  return { label: backup.name, memory: parseMemory(readBackup(backup)) };
+}
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log('Usage: node backup-memory.js [command] [options]\\n');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, description]) => console.log(\`  \${name.padEnd(20)}\${description}\`));
+  console.log('\\nBackups are referenced by their number in \`list\` (1 is the newest) or file name.\\n');
+  console.log('Options:');
+  console.log(\`  --keep <n>          Always keep the newest n backups (default: \${DEFAULT_POLICY.keep})\`);
+  console.log(\`  --daily <n>         Keep the newest backup of each of the last n days (default: \${DEFAULT_POLICY.daily})\`);
+  console.log(\`  --weekly <n>        Keep the newest backup of each of the last n weeks (default: \${DEFAULT_POLICY.weekly})\`);
+  console.log(\`  --max-size <size>   Total size limit for backups, e.g. 20MB (default: \${DEFAULT_POLICY.maxSize ? formatSize(DEFAULT_POLICY.maxSize) : 'unlimited'})\`);
+  console.log(\`  --gzip, --no-gzip   Compress new backups (default: \${DEFAULT_POLICY.gzip ? 'on' : 'off'})\`);
+  console.log('  --force             Restore a backup that fails its checks');
+}
+
+/**
+ * Command-line entry point
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  switch (options.command) {
+    case 'backup':
+      if (createBackup(options.policy)) pruneBackups(options.policy);
+      break;
+    case 'list':
+      printBackups(listBackups());
+      break;
+    case 'restore':
+      await restoreBackup(options.args[0], options);
+      pruneBackups(options.policy);
+      break;
+    case 'diff': {
+      if (options.args.length === 0) throw new Error('Usage: diff <backup> [<backup>|current]');
+      const before = readSide(options.args[0]);
+      const after = readSide(options.args[1] || 'current');
+      console.log(\`Comparing \${before.label} with \${after.label}\\n\`);
+      diffMemory(before.memory, after.memory);
+      break;
+    }
+    case 'verify': {
+      const results = listBackups().map(backup => ({ backup, verified: verifyBackup(backup) }));
+      results.forEach(({ backup, verified }) => console.log(\`\${{ true: 'ok', false: 'CHECKSUM MISMATCH', null: 'no checksum' }[verified]}  \${backup.name}\`));
+      if (results.some(({ verified }) => verified === false)) process.exitCode = 1;
+      break;
+    }
+    case 'prune':
+      pruneBackups(options.policy);
+      break;
+  }
+}
+
+main().catch(error => {
+  console.error(\`Error: \${error.message}\`);
+  process.exitCode = 1;
+});
+`;
+  
+  writeText(backupScriptPath, backupScript, { mode: '755' });
+  
+  // Create the memory explorer web app
+  const explorerScriptPath = path.join(CONFIG.memoryDirName, 'memory-explorer.js');
+  const explorerScript = `#!/usr/bin/env node
+/**
+ * MCP Memory Explorer: a local web app for searching, browsing and editing the
+ * memory file.
+ *
+ * Usage: node memory-explorer.js [--port <port>] [--host <host>] [--token [<token>]]
+ *                                [--allowed-hosts <name,...>]
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const MEMORY_FILE = path.join(__dirname, ${JSON.stringify(CONFIG.memoryFileName)});
+const PORT = Number(readArg('--port') || process.env.MCP_EXPLORER_PORT || 3003);
+const HOST = readArg('--host') || process.env.MCP_EXPLORER_HOST || '127.0.0.1';
+const TOKEN = readToken();
+const ALLOWED_HOSTS = [
+  'localhost', '127.0.0.1', '[::1]', HOST.includes(':') ? \`[\${HOST}]\` : HOST,
+  ...(readArg('--allowed-hosts') || process.env.MCP_EXPLORER_ALLOWED_HOSTS || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Sent with every response: the page may only load its own script and styles,
+// so memory content can never run as code even if it contains markup
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; script-src 'self'; style-src 'self'; connect-src 'self'; " +
+    "base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer'
+};
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read a command-line flag value
+ */
+function readArg(name) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Read the access token: --token <token>, MCP_EXPLORER_TOKEN, or a random one
+ * for a bare --token
+ */
+function readToken() {
+  const index = process.argv.indexOf('--token');
+  if (index < 0) {
+    return process.env.MCP_EXPLORER_TOKEN || null;
+  }
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Check a Host or Origin host against the names this server answers to, so a
+ * page on another site cannot reach it through DNS rebinding
+ */
+function isAllowedHost(host) {
+  return ALLOWED_HOSTS.some(name => host === name || host === \`\${name}:\${PORT}\`);
+}
+
+/**
+ * Check an Origin header's host, rejecting origins that are not URLs such as
+ * the \`null\` origin of sandboxed frames and file:// pages
+ */
+function isAllowedOrigin(origin) {
+  try {
+    return isAllowedHost(new URL(origin).host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check the access token sent as a bearer token, in constant time
+ */
+function hasValidToken(req) {
+  const expected = Buffer.from(\`Bearer \${TOKEN}\`);
+  const actual = Buffer.from(String(req.headers.authorization || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Parsed memory file, reused until the file changes on disk
+let cache = null;
+
+/**
+ * Load the memory file, either a knowledge graph (one JSON entity or relation
+ * per line) or a legacy { entries } document. Writes always load it fresh.
+ */
+function loadMemory({ fresh = false } = {}) {
+  if (!fs.existsSync(MEMORY_FILE)) {
+    return parseMemory('');
+  }
+
+  const stat = fs.statSync(MEMORY_FILE);
+  if (!fresh && cache && cache.mtimeMs === stat.mtimeMs && cache.size === stat.size) {
+    return cache.memory;
+  }
+  const memory = parseMemory(fs.readFileSync(MEMORY_FILE, 'utf8'));
+  cache = { mtimeMs: stat.mtimeMs, size: stat.size, memory };
+  return memory;
+}
+
+/**
+ * Parse memory file content into records. The version is a hash of the content,
+ * used for optimistic locking against concurrent writes by the memory server.
+ */
+function parseMemory(text) {
+  const version = crypto.createHash('sha1').update(text).digest('hex');
+
+  let document = null;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    // Not a single JSON document, so it should be a knowledge graph
+  }
+  if (document && Array.isArray(document.entries)) {
+    const records = document.entries.filter(entry => entry && typeof entry === 'object').map(entry => createRecord(entry, {
+      id: String(entry.id),
+      type: null,
+      date: entry.timestamp || null,
+      observations: [String(entry.content ?? '')]
+    }));
+    return { format: 'entries', version, document, records, relations: [] };
+  }
+
+  const items = text.split('\\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new HttpError(500, \`Could not read \${MEMORY_FILE}, line \${index + 1}: \${error.message}\`);
+    }
+  });
+  const records = items.filter(item => item.type === 'entity').map(entity => createRecord(entity, {
+    id: String(entity.name),
+    type: entity.entityType || null,
+    date: null,
+    observations: Array.isArray(entity.observations) ? entity.observations.map(String) : []
+  }));
+  return { format: 'graph', version, items, records, relations: items.filter(item => item.type === 'relation') };
+}
+
+/**
+ * Wrap a raw entity or entry with the fields the API works with
+ */
+function createRecord(raw, fields) {
+  const search = [fields.id, fields.type || '', ...fields.observations].join('\\n').toLowerCase();
+  return { ...fields, raw, search };
+}
+
+/**
+ * Serialize records back into the format the memory file was read in
+ */
+function serializeMemory(memory) {
+  if (memory.format === 'entries') {
+    return JSON.stringify({ ...memory.document, entries: memory.records.map(record => record.raw) }, null, 2);
+  }
+
+  const entities = memory.records.map(record => record.raw);
+  const others = memory.items.filter(item => item.type !== 'entity' && item.type !== 'relation');
+  return [...entities, ...memory.relations, ...others].map(item => JSON.stringify(item)).join('\\n') + '\\n';
+}
+
+/**
+ * Save the memory file, failing if it changed since the client loaded \`expected\`
+ */
+function updateMemory(req, change) {
+  const expected = String(req.headers['if-match'] || '').replace(/^(W\\/)?"|"$/g, '');
+  if (!expected) {
+    throw new HttpError(428, 'Missing If-Match header with the version the change is based on');
+  }
+
+  const memory = loadMemory({ fresh: true });
+  if (memory.version !== expected) {
+    throw new HttpError(412, 'The memory file was changed by someone else (for example the memory server). Reload and try again.');
+  }
+
+  const result = change(memory);
+  const temporary = \`\${MEMORY_FILE}.\${process.pid}.tmp\`;
+  fs.writeFileSync(temporary, serializeMemory(memory));
+  fs.renameSync(temporary, MEMORY_FILE);
+  return { result, memory: loadMemory({ fresh: true }) };
+}
+
+/**
+ * Validate a record sent by the client
+ */
+function readRecordInput(memory, body) {
+  if (!body || typeof body !== 'object') {
+    throw new HttpError(400, 'Expected a JSON object');
+  }
+  const id = typeof body.id === 'string' ? body.id.trim() : '';
+  if (!id) {
+    throw new HttpError(400, 'The name must not be empty');
+  }
+  if (!Array.isArray(body.observations) || body.observations.some(observation => typeof observation !== 'string')) {
+    throw new HttpError(400, 'Observations must be a list of strings');
+  }
+
+  const observations = body.observations.map(observation => observation.trim()).filter(Boolean);
+  const type = typeof body.type === 'string' && body.type.trim() ? body.type.trim() : 'memory';
+  return memory.format === 'entries'
+    ? { id, content: observations.join('\\n') }
+    : { id, type, observations };
+}
+
+/**
+ * Find a record by id or fail with 404
+ */
+function findRecord(memory, id) {
+  const record = memory.records.find(item => item.id === id);
+  if (!record) {
+    throw new HttpError(404, \`No memory named \${id}\`);
+  }
+  return record;
+}
+
+/**
+ * List records matching the search, type and date filters, one page at a time
+ */
+function listRecords(memory, params) {
+  const terms = (params.get('q') || '').toLowerCase().split(/\\s+/).filter(Boolean);
+  const type = params.get('type') || '';
+  const from = params.get('from') ? Date.parse(params.get('from')) : null;
+  const to = params.get('to') ? Date.parse(params.get('to')) + 24 * 60 * 60 * 1000 : null;
+
+  const matches = memory.records.filter(record => {
+    if (type && record.type !== type) return false;
+    if (from !== null || to !== null) {
+      const date = Date.parse(record.date);
+      if (Number.isNaN(date) || (from !== null && date < from) || (to !== null && date >= to)) return false;
+    }
+    return terms.every(term => record.search.includes(term));
+  });
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('pageSize'), 10) || PAGE_SIZE));
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.min(pages, Math.max(1, parseInt(params.get('page'), 10) || 1));
+
+  return {
+    format: memory.format,
+    total: matches.length,
+    page,
+    pages,
+    pageSize,
+    types: [...new Set(memory.records.map(record => record.type).filter(Boolean))].sort(),
+    records: matches.slice((page - 1) * pageSize, page * pageSize).map(record => ({
+      id: record.id,
+      type: record.type,
+      date: record.date,
+      observationCount: record.observations.length,
+      preview: (record.observations[0] || '').slice(0, 200)
+    }))
+  };
+}
+
+/**
+ * Describe one record with the relations it takes part in
+ */
+function describeRecord(memory, id) {
+  const { raw, search, ...record } = findRecord(memory, id);
+  const relations = memory.relations
+    .filter(relation => relation.from === id || relation.to === id)
+    .map(({ type, ...relation }) => relation);
+  return { format: memory.format, record, relations };
+}
+
+/**
+ * Create a record from the client input
+ */
+function createMemoryRecord(memory, body) {
+  const input = readRecordInput(memory, body);
+  if (memory.records.some(record => record.id === input.id)) {
+    throw new HttpError(409, \`A memory named \${input.id} already exists\`);
+  }
+
+  const raw = memory.format === 'entries'
+    ? { id: input.id, timestamp: new Date().toISOString(), content: input.content }
+    : { type: 'entity', name: input.id, entityType: input.type, observations: input.observations };
+  memory.records.push({ raw });
+  return input.id;
+}
+
+/**
+ * Update a record; renaming an entity also updates its relations
+ */
+function updateMemoryRecord(memory, id, body) {
+  const record = findRecord(memory, id);
+  const input = readRecordInput(memory, body);
+  if (input.id !== id && memory.records.some(item => item.id === input.id)) {
+    throw new HttpError(409, \`A memory named \${input.id} already exists\`);
+  }
+
+  if (memory.format === 'entries') {
+    Object.assign(record.raw, { id: input.id, timestamp: new Date().toISOString(), content: input.content });
+  } else {
+    Object.assign(record.raw, { name: input.id, entityType: input.type, observations: input.observations });
+    for (const relation of memory.relations) {
+      if (relation.from === id) relation.from = input.id;
+      if (relation.to === id) relation.to = input.id;
+    }
+  }
+  return input.id;
+}
+
+/**
+ * Delete a record and the relations that refer to it
+ */
+function deleteMemoryRecord(memory, id) {
+  const record = findRecord(memory, id);
+  memory.records = memory.records.filter(item => item !== record);
+  memory.relations = memory.relations.filter(relation => relation.from !== id && relation.to !== id);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || 'null'));
+      } catch (error) {
+        reject(new HttpError(400, \`Invalid JSON: \${error.message}\`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a response body
+ */
+function send(res, status, contentType, body, headers = {}) {
+  res.writeHead(status, { ...SECURITY_HEADERS, 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+  res.end(body);
+}
+
+/**
+ * Send a JSON response tagged with the memory file version
+ */
+function sendJson(res, status, data, memory) {
+  send(res, status, 'application/json; charset=utf-8', JSON.stringify(data), memory ? { ETag: \`"\${memory.version}"\` } : {});
+}
+
+/**
+ * Route a request to the page, its assets or the JSON API
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!isAllowedHost(req.headers.host)) {
+    throw new HttpError(403, 'Invalid Host header');
+  }
+  if (req.headers.origin && !isAllowedOrigin(req.headers.origin)) {
+    throw new HttpError(403, 'Cross-origin requests are not allowed');
+  }
+  if (url.pathname.startsWith('/api/')) {
+    if (TOKEN && !hasValidToken(req)) {
+      throw new HttpError(401, 'Missing or invalid access token');
+    }
+    if (['POST', 'PUT'].includes(req.method) && !/^application\\/json\\b/.test(req.headers['content-type'] || '')) {
+      throw new HttpError(415, 'Expected a JSON request body');
+    }
+  }
+
+  if (req.method === 'GET' && url.pathname === '/') {
+    return send(res, 200, 'text/html; charset=utf-8', PAGE_HTML);
+  }
+  if (req.method === 'GET' && url.pathname === '/app.css') {
+    return send(res, 200, 'text/css; charset=utf-8', PAGE_CSS);
+  }
+  if (req.method === 'GET' && url.pathname === '/app.js') {
+    return send(res, 200, 'text/javascript; charset=utf-8', PAGE_SCRIPT);
+  }
+
+  if (url.pathname === '/api/records') {
+    if (req.method === 'GET') {
+      const memory = loadMemory();
+      return sendJson(res, 200, listRecords(memory, url.searchParams), memory);
+    }
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      const { result: id, memory } = updateMemory(req, current => createMemoryRecord(current, body));
+      return sendJson(res, 201, describeRecord(memory, id), memory);
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const match = /^\\/api\\/records\\/(.+)$/.exec(url.pathname);
+  if (match) {
+    const id = decodeURIComponent(match[1]);
+    if (req.method === 'GET') {
+      const memory = loadMemory();
+      return sendJson(res, 200, describeRecord(memory, id), memory);
+    }
+    if (req.method === 'PUT') {
+      const body = await readJsonBody(req);
+      const { result: newId, memory } = updateMemory(req, current => updateMemoryRecord(current, id, body));
+      return sendJson(res, 200, describeRecord(memory, newId), memory);
+    }
+    if (req.method === 'DELETE') {
+      const { memory } = updateMemory(req, current => deleteMemoryRecord(current, id));
+      return sendJson(res, 200, { deleted: id }, memory);
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+const PAGE_HTML = \`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>MCP Memory Explorer</title>
+  <link rel="stylesheet" href="/app.css">
+</head>
+<body>
+  <header>
+    <h1>MCP Memory Explorer</h1>
+    <form id="filters">
+      <input id="search" type="search" placeholder="Search names and observations">
+      <select id="type"><option value="">All types</option></select>
+      <label class="dates">From <input id="from" type="date"></label>
+      <label class="dates">To <input id="to" type="date"></label>
+      <button id="new" type="button">New memory</button>
+    </form>
+  </header>
+  <main>
+    <section>
+      <p id="summary"></p>
+      <ul id="records"></ul>
+      <nav id="pager">
+        <button id="previous" type="button">Previous</button>
+        <span id="page"></span>
+        <button id="next" type="button">Next</button>
+      </nav>
+    </section>
+    <aside id="detail"><p class="hint">Select a memory to see its details.</p></aside>
+  </main>
+  <p id="status" role="status"></p>
+  <script src="/app.js"></script>
+</body>
+</html>
+\`;
+
+const PAGE_CSS = \`
+body { font-family: system-ui, sans-serif; margin: 0; color: #222; }
+header { padding: 12px 20px; border-bottom: 1px solid #ddd; }
+h1 { font-size: 1.3em; margin: 0 0 10px; color: #333; }
+#filters { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+#search { flex: 1; min-width: 200px; padding: 5px; }
+main { display: grid; grid-template-columns: minmax(300px, 2fr) 3fr; gap: 20px; padding: 12px 20px; }
+#records { list-style: none; padding: 0; margin: 0; }
+#records li { border: 1px solid #ddd; border-radius: 5px; padding: 8px 10px; margin-bottom: 8px; cursor: pointer; }
+#records li.selected { border-color: #36c; background: #f3f6ff; }
+.name { font-weight: bold; }
+.meta, .hint, #summary { color: #666; font-size: 0.9em; }
+.preview { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+#pager { display: flex; gap: 10px; align-items: center; }
+#detail { border: 1px solid #ddd; border-radius: 5px; padding: 15px; align-self: start; }
+#detail ul { padding-left: 20px; }
+#detail li { white-space: pre-wrap; margin-bottom: 4px; }
+#detail a { color: #36c; cursor: pointer; }
+#detail label { display: block; margin-bottom: 10px; }
+#detail input, #detail textarea { display: block; width: 100%; box-sizing: border-box; padding: 5px; }
+#detail textarea { min-height: 200px; font-family: inherit; }
+.actions { display: flex; gap: 8px; }
+#status { position: fixed; bottom: 0; left: 0; right: 0; margin: 0; padding: 8px 20px; background: #fee; color: #900; }
+#status:empty { display: none; }
+\`;
+
+const PAGE_SCRIPT = \`'use strict';
+
+const state = { q: '', type: '', from: '', to: '', page: 1, format: 'graph', listVersion: null, selected: null, detailVersion: null };
+const $ = id => document.getElementById(id);
+
+// The access token arrives in the URL fragment, which is never sent to the server or in referrers
+const token = new URLSearchParams(location.hash.slice(1)).get('token') || sessionStorage.getItem('mcp-explorer-token');
+if (token) {
+  sessionStorage.setItem('mcp-explorer-token', token);
+  history.replaceState(null, '', location.pathname);
+}
+
+// Create an element; text is always added as text nodes, never parsed as HTML
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  children.flat().forEach(child => node.append(child));
+  return node;
+}
+
+function showStatus(message) {
+  $('status').textContent = message || '';
+}
+
+// Call the JSON API, sending the version a change is based on for optimistic locking
+async function api(method, url, body, version) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (version) headers['If-Match'] = '"' + version + '"';
+  if (token) headers.Authorization = 'Bearer ' + token;
+  const response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(response.status === 401
+      ? 'This explorer needs an access token: open the URL it printed when it started'
+      : data.error || response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return { data, version: (response.headers.get('ETag') || '').replace(/"/g, '') };
+}
+
+async function loadList() {
+  const params = new URLSearchParams({ q: state.q, type: state.type, from: state.from, to: state.to, page: state.page });
+  const { data, version } = await api('GET', '/api/records?' + params);
+  state.format = data.format;
+  state.listVersion = version;
+  state.page = data.page;
+
+  const typeSelect = $('type');
+  typeSelect.replaceChildren(el('option', { value: '', textContent: 'All types' }),
+    ...data.types.map(type => el('option', { value: type, textContent: type, selected: type === state.type })));
+  typeSelect.hidden = data.format !== 'graph';
+  document.querySelectorAll('.dates').forEach(label => { label.hidden = data.format !== 'entries'; });
+
+  $('summary').textContent = data.total + (data.total === 1 ? ' memory' : ' memories') +
+    (data.format === 'entries' ? ' (legacy entries format)' : '');
+  $('records').replaceChildren(...data.records.map(record => el('li', {
+    className: record.id === state.selected ? 'selected' : '',
+    onclick: () => loadDetail(record.id)
+  },
+    el('div', { className: 'name', textContent: record.id }),
+    el('div', { className: 'meta', textContent: [record.type, record.date && new Date(record.date).toLocaleString(),
+      record.observationCount + (record.observationCount === 1 ? ' observation' : ' observations')].filter(Boolean).join(' · ') }),
+    el('div', { className: 'preview', textContent: record.preview })
+  )));
+  $('page').textContent = 'Page ' + data.page + ' of ' + data.pages;
+  $('previous').disabled = data.page <= 1;
+  $('next').disabled = data.page >= data.pages;
+}
+
+async function loadDetail(id) {
+  try {
+    const { data, version } = await api('GET', '/api/records/' + encodeURIComponent(id));
+    state.selected = id;
+    state.detailVersion = version;
+    renderDetail(data);
+    document.querySelectorAll('#records li').forEach(item => {
+      item.classList.toggle('selected', item.querySelector('.name').textContent === id);
+    });
+  } catch (error) {
+    showStatus(error.message);
+  }
+}
+
+function renderDetail({ record, relations }) {
+  const link = name => el('a', { textContent: name, onclick: () => loadDetail(name) });
+  $('detail').replaceChildren(
+    el('h2', { textContent: record.id }),
+    el('p', { className: 'meta', textContent: [record.type, record.date && new Date(record.date).toLocaleString()].filter(Boolean).join(' · ') }),
+    el('h3', { textContent: state.format === 'entries' ? 'Content' : 'Observations' }),
+    el('ul', {}, record.observations.map(observation => el('li', { textContent: observation }))),
+    ...(state.format === 'graph' ? [
+      el('h3', { textContent: 'Relations' }),
+      relations.length === 0 ? el('p', { className: 'hint', textContent: 'No relations' }) : el('ul', {}, relations.map(relation =>
+        el('li', {}, link(relation.from), ' ' + relation.relationType + ' ', link(relation.to))))
+    ] : []),
+    el('div', { className: 'actions' },
+      el('button', { type: 'button', textContent: 'Edit', onclick: () => renderForm(record) }),
+      el('button', { type: 'button', textContent: 'Delete', onclick: () => deleteRecord(record.id) }))
+  );
+}
+
+function renderForm(record) {
+  const name = el('input', { value: record ? record.id : '', required: true });
+  const type = el('input', { value: record ? record.type || '' : 'memory' });
+  const observations = el('textarea', { value: record ? record.observations.join('\\\\n') : '' });
+  const form = el('form', {},
+    el('h2', { textContent: record ? 'Edit ' + record.id : 'New memory' }),
+    el('label', {}, 'Name', name),
+    state.format === 'graph' ? el('label', {}, 'Entity type', type) : [],
+    el('label', {}, state.format === 'graph' ? 'Observations (one per line)' : 'Content', observations),
+    el('div', { className: 'actions' },
+      el('button', { type: 'submit', textContent: 'Save' }),
+      el('button', { type: 'button', textContent: 'Cancel', onclick: () => record ? loadDetail(record.id) : $('detail').replaceChildren() })));
+
+  form.onsubmit = async event => {
+    event.preventDefault();
+    const body = {
+      id: name.value,
+      type: type.value,
+      observations: state.format === 'graph' ? observations.value.split('\\\\n') : [observations.value]
+    };
+    try {
+      const { data, version } = record
+        ? await api('PUT', '/api/records/' + encodeURIComponent(record.id), body, state.detailVersion)
+        : await api('POST', '/api/records', body, state.listVersion);
+      showStatus('');
+      state.selected = data.record.id;
+      state.detailVersion = version;
+      renderDetail(data);
+      await loadList();
+    } catch (error) {
+      await handleWriteError(error);
+    }
+  };
+  $('detail').replaceChildren(form);
+  name.focus();
+}
+
+async function deleteRecord(id) {
+  if (!confirm('Delete ' + id + (state.format === 'graph' ? ' and its relations?' : '?'))) return;
+  try {
+    await api('DELETE', '/api/records/' + encodeURIComponent(id), undefined, state.detailVersion);
+    showStatus('');
+    state.selected = null;
+    $('detail').replaceChildren(el('p', { className: 'hint', textContent: 'Deleted ' + id }));
+    await loadList();
+  } catch (error) {
+    await handleWriteError(error);
+  }
+}
+
+// A conflicting write means the file changed underneath us: show the latest version
+async function handleWriteError(error) {
+  showStatus(error.message);
+  if (error.status === 412) {
+    await loadList();
+    if (state.selected) await loadDetail(state.selected);
+  }
+}
+
+let searchTimer = null;
+$('search').oninput = () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => { state.q = $('search').value; state.page = 1; loadList(); }, 200);
+};
+$('type').onchange = () => { state.type = $('type').value; state.page = 1; loadList(); };
+$('from').onchange = () => { state.from = $('from').value; state.page = 1; loadList(); };
+$('to').onchange = () => { state.to = $('to').value; state.page = 1; loadList(); };
+$('filters').onsubmit = event => event.preventDefault();
+$('previous').onclick = () => { state.page--; loadList(); };
+$('next').onclick = () => { state.page++; loadList(); };
+$('new').onclick = () => renderForm(null);
+
+loadList().catch(error => showStatus(error.message));
+\`;
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    if (!error.status) console.error(error);
+    sendJson(res, error.status || 500, { error: error.message });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  const url = \`http://\${HOST.includes(':') ? \`[\${HOST}]\` : HOST}:\${PORT}/\`;
+  console.log(\`Memory Explorer started at \${TOKEN ? \`\${url}#token=\${encodeURIComponent(TOKEN)}\` : url}\`);
+  console.log(\`Reading \${MEMORY_FILE}\`);
+  if (!TOKEN && !['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+    console.log(\`Warning: listening on \${HOST} without an access token, anyone who can reach it can read and edit your memories (pass --token)\`);
+  }
+  console.log('Press Ctrl+C to stop');
+});
+`;
+  
+  writeText(explorerScriptPath, explorerScript, { mode: '755' });
+  
+  // Create the server launcher, a local proxy for the HTTP transports
+  const serverScriptPath = path.join(CONFIG.memoryDirName, 'serve-memory.js');
+  // Without package.json the server is not in node_modules, npx downloads it instead
+  const memoryServer = getEcosystem() === 'node'
+    ? { command: 'mcp-server-memory', args: [], hint: 'install @modelcontextprotocol/server-memory in the project' }
+    : { command: 'npx', args: ['-y', '@modelcontextprotocol/server-memory'], hint: 'install Node.js with npm' };
+  const serverScript = `#!/usr/bin/env node
+/**
+ * Start the MCP memory server for this project.
+ *
+ * Usage: node serve-memory.js [--transport stdio|sse|http] [--port <port>]
+ *
+ * Over stdio the server talks on this process's stdin and stdout. The sse and
+ * http (streamable HTTP) transports put a local proxy in front of it, listening
+ * on 127.0.0.1 and starting one server process per client session.
+ */
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const PROJECT_DIR = path.resolve(__dirname, ${JSON.stringify(path.relative(CONFIG.memoryDirName, '.').split(path.sep).join('/'))});
+const MEMORY_FILE = process.env.MEMORY_FILE_PATH || path.join(__dirname, ${JSON.stringify(CONFIG.memoryFileName)});
+const SERVER_COMMAND = ${JSON.stringify(memoryServer.command)};
+const SERVER_ARGS = ${JSON.stringify(memoryServer.args)};
+const INSTALL_HINT = ${JSON.stringify(memoryServer.hint)};
+const TRANSPORT = readArg('--transport') || (readArg('--port') ? 'sse' : ${JSON.stringify(CONFIG.mcpTransport)});
+const PORT = Number(readArg('--port') || process.env.MCP_SERVER_PORT || ${CONFIG.mcpPort});
+const HOST = '127.0.0.1';
+const ALLOWED_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const RESPONSE_TIMEOUT_MS = 60000;
+
+// Open sessions by id, each with its own server process
+const sessions = new Map();
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read a command-line flag value
+ */
+function readArg(name) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Start the memory server (from the project's node_modules or npx), reading and
+ * writing the project memory file
+ */
+function startServer(stdio) {
+  const binDir = path.join(PROJECT_DIR, 'node_modules', '.bin');
+  const child = spawn(SERVER_COMMAND, SERVER_ARGS, {
+    cwd: PROJECT_DIR,
+    env: { ...process.env, MEMORY_FILE_PATH: MEMORY_FILE, PATH: \`\${binDir}\${path.delimiter}\${process.env.PATH || ''}\` },
+    stdio,
+    // The binary is a .cmd shim on Windows
+    shell: process.platform === 'win32'
+  });
+  child.on('error', error => {
+    console.error(error.code === 'ENOENT'
+      ? \`\${SERVER_COMMAND} not found, \${INSTALL_HINT}\`
+      : \`Could not start \${SERVER_COMMAND}: \${error.message}\`);
+    process.exitCode = 1;
+  });
+  return child;
+}
+
+/**
+ * Start a server for a proxy session and call onMessage with every JSON-RPC
+ * message it writes to stdout
+ */
+function startSession(onMessage) {
+  const session = { id: crypto.randomUUID(), child: startServer(['pipe', 'pipe', 'inherit']), pending: new Map() };
+  let buffer = '';
+  session.child.stdout.setEncoding('utf8');
+  session.child.stdout.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        onMessage(JSON.parse(line));
+      } catch (error) {
+        console.error(\`Ignoring invalid server output: \${line}\`);
+      }
+    }
+  });
+  session.child.stdin.on('error', () => {});
+  session.child.on('close', () => {
+    sessions.delete(session.id);
+    for (const { reject } of session.pending.values()) {
+      reject(new HttpError(502, 'The memory server exited'));
+    }
+    session.pending.clear();
+  });
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Stop a session's server
+ */
+function closeSession(session) {
+  sessions.delete(session.id);
+  session.child.stdin.end();
+  session.child.kill();
+}
+
+/**
+ * Check a Host or Origin host against the names this server answers to, so a
+ * page on another site cannot reach it through DNS rebinding
+ */
+function isAllowedHost(host) {
+  return ALLOWED_HOSTS.some(name => host === name || host === \`\${name}:\${PORT}\`);
+}
+
+/**
+ * Check an Origin header's host, rejecting origins that are not URLs such as
+ * the \`null\` origin of sandboxed frames and file:// pages
+ */
+function isAllowedOrigin(origin) {
+  try {
+    return isAllowedHost(new URL(origin).host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, \`Invalid JSON: \${error.message}\`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * SSE transport: GET /sse opens a session and streams the server's messages,
+ * POST /message?sessionId=<id> forwards a message to it
+ */
+async function handleSse(req, res, url) {
+  if (req.method === 'GET' && url.pathname === '/sse') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+    const session = startSession(message => {
+      res.write(\`event: message\\ndata: \${JSON.stringify(message)}\\n\\n\`);
+    });
+    res.write(\`event: endpoint\\ndata: /message?sessionId=\${session.id}\\n\\n\`);
+    session.child.on('close', () => res.end());
+    req.on('close', () => closeSession(session));
+    return;
+  }
+
+  if (url.pathname === '/message') {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Use POST to send messages');
+    }
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session) {
+      throw new HttpError(404, 'Unknown session');
+    }
+    const message = await readJsonBody(req);
+    session.child.stdin.write(\`\${JSON.stringify(message)}\\n\`);
+    res.writeHead(202, { 'Content-Type': 'text/plain' });
+    res.end('Accepted');
+    return;
+  }
+
+  throw new HttpError(404, 'Not found, connect to /sse');
+}
+
+/**
+ * Streamable HTTP transport: every POST /mcp carries JSON-RPC messages and is
+ * answered with the server's responses. The session starts with \`initialize\`
+ * and ends with DELETE /mcp.
+ */
+async function handleStreamableHttp(req, res, url) {
+  if (url.pathname !== '/mcp') {
+    throw new HttpError(404, 'Not found, connect to /mcp');
+  }
+  if (req.method === 'GET') {
+    // Servers may refuse the optional server-to-client stream
+    res.writeHead(405, { Allow: 'POST, DELETE' });
+    res.end();
+    return;
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  const existing = sessionId ? sessions.get(sessionId) : null;
+  if (sessionId && !existing) {
+    throw new HttpError(404, 'Unknown session');
+  }
+  if (req.method === 'DELETE') {
+    if (!existing) throw new HttpError(400, 'Missing Mcp-Session-Id header');
+    closeSession(existing);
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    throw new HttpError(405, 'Use POST to send messages');
+  }
+
+  const body = await readJsonBody(req);
+  const messages = Array.isArray(body) ? body : [body];
+  let session = existing;
+  if (!session) {
+    if (!messages.some(message => message && message.method === 'initialize')) {
+      throw new HttpError(400, 'Missing Mcp-Session-Id header, start a session with initialize');
+    }
+    session = startSession(message => {
+      const request = session.pending.get(message.id);
+      if (request) {
+        session.pending.delete(message.id);
+        request.resolve(message);
+      }
+    });
+  }
+
+  // Requests wait for their response, notifications and responses only need forwarding
+  const responses = messages
+    .filter(message => message && message.method && message.id !== undefined)
+    .map(message => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        session.pending.delete(message.id);
+        reject(new HttpError(504, \`No response to \${message.method}\`));
+      }, RESPONSE_TIMEOUT_MS);
+      session.pending.set(message.id, {
+        resolve: response => { clearTimeout(timer); resolve(response); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+    }));
+  for (const message of messages) {
+    session.child.stdin.write(\`\${JSON.stringify(message)}\\n\`);
+  }
+
+  const headers = { 'Mcp-Session-Id': session.id };
+  if (responses.length === 0) {
+    res.writeHead(202, headers);
+    res.end();
+    return;
+  }
+  const results = await Promise.all(responses);
+  sendJson(res, 200, Array.isArray(body) ? results : results[0], headers);
+}
+
+/**
+ * Check where a request comes from, then hand it to the selected transport
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!isAllowedHost(req.headers.host)) {
+    throw new HttpError(403, 'Invalid Host header');
+  }
+  if (req.headers.origin && !isAllowedOrigin(req.headers.origin)) {
+    throw new HttpError(403, 'Cross-origin requests are not allowed');
+  }
+  if (req.method === 'POST' && !/^application\\/json\\b/.test(req.headers['content-type'] || '')) {
+    throw new HttpError(415, 'Expected a JSON request body');
+  }
+
+  return TRANSPORT === 'sse' ? handleSse(req, res, url) : handleStreamableHttp(req, res, url);
+}
+
+if (TRANSPORT === 'stdio') {
+  const child = startServer('inherit');
+  child.on('exit', code => {
+    process.exitCode = code === null ? 1 : code;
+  });
+} else if (TRANSPORT === 'sse' || TRANSPORT === 'http') {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (!error.status) console.error(error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, error.status || 500, { error: error.message });
+      }
+    });
+  });
+
+  server.listen(PORT, HOST, () => {
+    const endpoint = TRANSPORT === 'sse' ? '/sse' : '/mcp';
+    console.log(\`MCP memory server (\${TRANSPORT === 'sse' ? 'SSE' : 'streamable HTTP'}) listening at http://\${HOST}:\${PORT}\${endpoint}\`);
+    console.log(\`Reading \${MEMORY_FILE}\`);
+    console.log('Press Ctrl+C to stop');
+  });
+
+  process.on('SIGINT', () => {
+    for (const session of sessions.values()) {
+      closeSession(session);
+    }
+    process.exit();
+  });
+} else {
+  console.error(\`Unknown transport: \${TRANSPORT} (use stdio, sse or http)\`);
+  process.exitCode = 1;
+}
+`;
+  
+  writeText(serverScriptPath, serverScript, { mode: '755' });
+}
+
+/**
+ * Add the package.json scripts for the MCP server and memory utilities. Scripts
+ * the user already defined differently are left alone and reported.
+ */
+function registerScripts() {
+  console.log('📜 Registering package.json scripts...');
+  
+  if (getEcosystem() !== 'node') {
+    console.log(`  ✓ No package.json in this ${getEcosystemName()} project, run the utilities with node:`);
+    for (const [name, script] of Object.entries(getSetupScripts())) {
+      console.log(`    ${name.padEnd(12)}${script}`);
+    }
+    warnSetupScriptOutside();
+    return;
+  }
+  
+  // A dry run has no init output to read
+  const packageJson = pathExists('package.json')
+    ? JSON.parse(readText('package.json'))
+    : runtime.dryRun && !runtime.skipInstall ? {} : null;
+  if (!packageJson) {
+    console.log('  ⚠️ No package.json found, skipping scripts');
+    return;
+  }
+  if (!packageJson.scripts) packageJson.scripts = {};
+  
+  const manifest = loadManifest();
+  const added = [];
+  const updated = [];
+  const conflicts = [];
+  for (const [name, script] of Object.entries(getSetupScripts())) {
+    const current = packageJson.scripts[name];
+    const ownedBySetup = manifest && manifest.scripts[name] && manifest.scripts[name].value === current;
+    if (current === script) continue;
+    if (current !== undefined && !ownedBySetup) {
+      conflicts.push({ name, current });
+      continue;
+    }
+    recordScript(name, current, script);
+    packageJson.scripts[name] = script;
+    (current === undefined ? added : updated).push(name);
+  }
+  
+  if (added.length > 0 || updated.length > 0) {
+    writeText('package.json', JSON.stringify(packageJson, null, 2), { track: false });
+    if (added.length > 0) logDone(`  ✓ Added scripts to package.json: ${added.join(', ')}`);
+    if (updated.length > 0) logDone(`  ✓ Updated scripts in package.json: ${updated.join(', ')}`);
+  } else if (conflicts.length === 0) {
+    console.log('  ✓ package.json scripts are up to date');
+  }
+  for (const { name, current } of conflicts) {
+    console.log(`  ⚠️ Kept your "${name}" script (${current}), rename or remove it to get setup's version`);
+  }
+  warnSetupScriptOutside();
+}
+
+/**
+ * Report the mcp:verify and mcp:doctor scripts left out because this setup
+ * script is outside the project
+ */
+function warnSetupScriptOutside() {
+  if (!getSetupScriptPath()) {
+    console.log(`  ⚠️ Skipped mcp:verify and mcp:doctor, ${__filename} is outside the project: copy it into the project and run setup again to get them`);
+  }
+}
+
+/**
+ * Get the path of this setup script relative to the project, or null if it is
+ * outside the project, where a shared script could not find it
+ */
+function getSetupScriptPath() {
+  const setupScript = path.relative(process.cwd(), __filename);
+  return setupScript.startsWith('..') || path.isAbsolute(setupScript) ? null : setupScript;
+}
+
+/**
+ * The package.json scripts setup registers
+ */
+function getSetupScripts() {
+  const toScriptPath = filePath => {
+    const posixPath = filePath.split(path.sep).join('/');
+    return /\s/.test(posixPath) ? `"${posixPath}"` : posixPath;
+  };
+  const memoryDir = toScriptPath(CONFIG.memoryDirName);
+  const scripts = {
+    mcp: `node ${memoryDir}/serve-memory.js`,
+    'mcp:backup': `node ${memoryDir}/backup-memory.js`,
+    'mcp:restore': `node ${memoryDir}/backup-memory.js restore`,
+    'mcp:explore': `node ${memoryDir}/memory-explorer.js`
+  };
+  
+  // The checks run this setup script, so they need it inside the project
+  const setupScriptPath = getSetupScriptPath();
+  if (setupScriptPath) {
+    const setupScript = toScriptPath(setupScriptPath);
+    const clientIds = runtime.clients.map(client => client.id).join(',');
+    const targetFlags = `${clientIds !== 'cursor' ? ` --client ${clientIds}` : ''}${runtime.scope !== 'project' ? ` --scope ${runtime.scope}` : ''}`;
+    scripts['mcp:verify'] = `node ${setupScript} verify${targetFlags}`;
+    scripts['mcp:doctor'] = `node ${setupScript} doctor${targetFlags}`;
+  }
+  return scripts;
+}
+
+/**
+ * Get the command running one of the setup scripts: through the package manager,
+ * or with node directly in a project without package.json
+ */
+function getUtilityCommand(name) {
+  return getEcosystem() === 'node' ? `${getPackageManager().run} ${name}` : getSetupScripts()[name];
+}
+
+/**
+ * Create Cursor workspace settings
+ */
+function createCursorWorkspaceSettings() {
+  console.log('⚙️ Creating Cursor workspace settings...');
+  
+  const cursorDir = '.cursor';
+  const settingsPath = path.join(cursorDir, 'settings.json');
+  
+  // Create .cursor directory if it doesn't exist
+  if (!pathExists(cursorDir)) {
+    makeDir(cursorDir);
+  }
+  
+  // Create or update settings.json
+  let settings = {};
+  if (pathExists(settingsPath)) {
+    try {
+      settings = JSON.parse(readText(settingsPath));
+    } catch (error) {
+      console.log('  ⚠️ Could not parse existing settings.json, creating new one');
+    }
+  }
+  
+  // Add AI-specific settings
+  settings = {
+    ...settings,
+    "ai.autoUseContextFiles": true,
+    "ai.memoryManagement": {
+      "enabled": true,
+      "persistMemoryBetweenSessions": true
+    },
+    "ai.modelResponsiveness": "fast",
+    "ai.codeGeneration": {
+      "useCompletionForInlineCompletion": true
+    }
+  };
+  
+  writeText(settingsPath, JSON.stringify(settings, null, 2));
+  logDone(`  ✓ Created Cursor workspace settings at: ${settingsPath}`);
+}
+
+/**
+ * Perform verification to ensure MCP is working properly
+ * Returns true when every check passed
+ */
+function performVerification() {
+  console.log('🔍 Verifying MCP setup...');
+  let passed = true;
+  
+  // Check memory file exists
+  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  if (fs.existsSync(memoryPath)) {
+    console.log(`  ✓ Memory file exists at: ${memoryPath}`);
+  } else {
+    console.log(`  ⚠️ Memory file not found at: ${memoryPath}`);
+    passed = false;
+  }
+  
+  // Check package.json scripts (a project in another language runs the utilities with node instead)
+  if (getEcosystem() === 'node') {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const missing = Object.keys(getSetupScripts()).filter(name => !packageJson.scripts || !packageJson.scripts[name]);
+      if (missing.length === 0) {
+        console.log('  ✓ MCP scripts found in package.json');
+      } else {
+        console.log(`  ⚠️ Scripts not found in package.json: ${missing.join(', ')}`);
+        passed = false;
+      }
+    } catch (error) {
+      console.log('  ⚠️ Could not check package.json for MCP script');
+      passed = false;
+    }
+  }
+  
+  // Check every selected client has a usable entry for every selected server
+  for (const target of getClientTargets()) {
+    const { client, scope, configPath } = target;
+    let config;
+    try {
+      config = parseClientConfig(client, fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'not found' : `not readable (${error.message})`;
+      console.log(`  ⚠️ ${client.name} ${scope} configuration ${reason} at: ${configPath}`);
+      passed = false;
+      continue;
+    }
+    
+    for (const server of runtime.servers) {
+      const serverName = findConfiguredServerName(config, server, target);
+      const entry = serverName ? client.parse(config[client.serversKey][serverName] || {}) : null;
+      if (!serverName) {
+        console.log(`  ⚠️ ${client.name} ${scope} configuration at ${configPath} has no "${server.name}" MCP server for this project`);
+        passed = false;
+      } else if (!entry.command && !entry.url) {
+        console.log(`  ⚠️ ${client.name} ${scope} configuration at ${configPath} has an MCP server "${serverName}" without a command or URL`);
+        passed = false;
+      } else {
+        console.log(`  ✓ ${client.name} ${scope} configuration has MCP server "${serverName}" at: ${configPath}`);
+      }
+    }
+  }
+  
+  return passed;
+}
+
+// Built-in rule templates. A <name>.md file in the project's .mcp/templates or
+// in the user template directory replaces the template of the same name.
+const RULE_TEMPLATES = {
+  'project-rules': `---
+description: Main project rules and context
+globs: {{globs}}
+---
+# {{name}} Project Rules
+
+## About This Project
+
+This is a {{type}} project {{#if frameworks}}with {{frameworks}}{{/if}}.{{#if otherStacks}} It also contains {{otherStacks}} code.{{/if}}
+{{#if patterns.auth}}The project uses {{patterns.auth}} for authentication.{{/if}}
+{{#if patterns.dataManagement}}It uses {{patterns.dataManagement}} for data management.{{/if}}
+{{#if patterns.ui}}The UI is built with {{patterns.ui}}.{{/if}}
+
+## Technical Stack
+
+{{#each frameworks}}
+- {{this}}
+{{/each}}
+{{#if patterns.auth}}- {{patterns.auth}}{{/if}}
+{{#if patterns.dataManagement}}- {{patterns.dataManagement}}{{/if}}
+{{#if patterns.ui}}- {{patterns.ui}}{{/if}}
+
+## Project Structure
+
+- Analyze the project structure to understand the organization
+- Look for patterns in directory names and file organization
+- Understand the relationship between different components
+
+## Rule References
+
+{{#each ruleReferences}}
+@file:{{rulesDir}}/{{this}}
+{{/each}}
+
+## MCP Memory Server Configuration
+
+The Model Context Protocol (MCP) Memory Server is configured to store persistent memories at:
+{{memoryFile}} (within the project directory)
+
+## Memory Utilization Best Practices
+
+1. **Progressive Memory Building**: Add new memories that enhance understanding of the project's evolution
+2. **Contextual Recall**: Reference relevant past decisions when providing recommendations
+3. **Implementation Consistency**: Ensure new code suggestions align with established patterns
+4. **Documentation Integration**: Reference project requirements in memory usage
+5. **Communication Continuity**: Maintain awareness of communication style and preferences
+
+## Coding Standards
+
+1. Follow the established patterns in the codebase
+2. Implement proper error handling and validation
+3. Write clean, maintainable, and self-documenting code
+4. Organize code logically and maintain separation of concerns
+5. Follow security best practices for the platform
+`,
+  'auth-rules': `---
+description: Authentication guidelines and patterns
+globs: {{globs}}
+---
+# Authentication Guidelines
+
+## Pattern
+
+Authentication in this project is implemented using {{patterns.auth}}.
+
+## Authentication Implementation
+
+{{#if patterns.auth == "Firebase Authentication"}}
+{{> auth-firebase}}
+{{else if patterns.auth == "Clerk"}}
+{{> auth-clerk}}
+{{else if patterns.auth == "Auth0"}}
+{{> auth-auth0}}
+{{else if patterns.auth == "NextAuth.js"}}
+{{> auth-nextauth}}
+{{else if patterns.auth == "django-allauth"}}
+{{> auth-django-allauth}}
+{{else if patterns.auth == "Flask-Login"}}
+{{> auth-flask-login}}
+{{else if patterns.auth == "Devise"}}
+{{> auth-devise}}
+{{else if patterns.auth == "Spring Security"}}
+{{> auth-spring-security}}
+{{else}}
+{{> auth-default}}
+{{/if}}
+
+## Memory Usage For Authentication
+
+When working with authentication files, apply these specific memory retrieval and application guidelines:
+
+### Authentication Flow Context
+
+- Reference previous implementation details of the authentication flow
+- Recall user role management implementation details
+- Remember discussions about authentication state persistence
+
+## Best Practices
+
+1. Never store sensitive authentication data in client-side state
+2. Implement proper error handling for all authentication operations
+3. Use proper types for user and session objects
+4. Follow the principle of least privilege for authentication operations
+5. Implement proper loading and error states for authentication UI
+`,
+  'auth-firebase': `### Firebase Authentication
+
+- Use Firebase Authentication methods for user management
+- Implement proper error handling for authentication operations
+- Follow Firebase best practices for security rules
+- Use proper TypeScript types for user objects
+`,
+  'auth-clerk': `### Clerk Integration
+
+- Use Clerk's provided hooks and components for authentication flows
+- Follow Clerk's middleware pattern for protected routes
+- Implement proper role-based access control using Clerk's user metadata
+- Use Clerk's theming capabilities for consistent styling
+`,
+  'auth-auth0': `### Auth0 Integration
+
+- Use Auth0's SDK for authentication flows
+- Implement proper role-based access control using Auth0 roles and permissions
+- Follow Auth0's best practices for token handling
+- Implement proper error handling for authentication operations
+`,
+  'auth-nextauth': `### NextAuth.js Integration
+
+- Configure providers appropriate for your application
+- Use NextAuth.js session hooks for authentication state
+- Implement callbacks for customizing session and JWT handling
+- Follow best practices for protected routes
+`,
+  'auth-django-allauth': `### django-allauth Integration
+
+- Configure account and social login behavior through the ACCOUNT_* and SOCIALACCOUNT_* settings
+- Override allauth templates and forms instead of patching its views
+- Protect views with login_required or permission mixins
+- Keep provider secrets in environment variables or the database, never in settings files
+`,
+  'auth-flask-login': `### Flask-Login Integration
+
+- Load users through a single user_loader callback
+- Protect views with the login_required decorator
+- Use a secure, random SECRET_KEY and secure session cookie settings
+- Hash passwords with werkzeug.security or a dedicated library, never store them in plain text
+`,
+  'auth-devise': `### Devise Integration
+
+- Protect controllers with before_action :authenticate_user!
+- Enable only the Devise modules the application needs
+- Customize views and controllers through the Devise generators instead of patching the gem
+- Permit extra sign-up fields through configure_permitted_parameters
+`,
+  'auth-spring-security': `### Spring Security Configuration
+
+- Configure access rules in a SecurityFilterChain bean
+- Deny by default and open endpoints explicitly
+- Use method security (@PreAuthorize) for rules that depend on the domain object
+- Hash passwords with a PasswordEncoder such as BCrypt or Argon2
+`,
+  'auth-default': `### Authentication Implementation
+
+- Implement secure authentication flows
+- Use proper error handling for authentication operations
+- Follow best practices for token/session management
+- Implement proper role-based access control
+`,
+  'data-management-rules': `---
+description: Data management guidelines and patterns
+globs: {{globs}}
+---
+# Data Management Guidelines
+
+## Pattern
+
+Data management in this project primarily uses {{patterns.dataManagement}}.
+
+## Data Management Implementation
+
+{{#if patterns.dataManagement == "Firebase Firestore"}}
+{{> data-firestore}}
+{{else if patterns.dataManagement == "React Query"}}
+{{> data-react-query}}
+{{else if patterns.dataManagement == "Prisma"}}
+{{> data-prisma}}
+{{else if patterns.dataManagement == "MongoDB (Mongoose)"}}
+{{> data-mongoose}}
+{{else if patterns.dataManagement == "SQLAlchemy"}}
+{{> data-sqlalchemy}}
+{{else if patterns.dataManagement == "Django ORM"}}
+{{> data-django-orm}}
+{{else if patterns.dataManagement == "Active Record"}}
+{{> data-active-record}}
+{{else if patterns.dataManagement == "Eloquent ORM"}}
+{{> data-eloquent}}
+{{else if patterns.dataManagement == "Entity Framework Core"}}
+{{> data-ef-core}}
+{{else if patterns.dataManagement == "GORM"}}
+{{> data-gorm}}
+{{else}}
+{{> data-default}}
+{{/if}}
+
+## Memory Usage For Data Management
+
+When working with data management, apply these memory retrieval and application guidelines:
+
+### Data Model
+
+- Reference the data model structure
+- Recall discussions about data properties and relationships
+- Remember specific requirements for data validation
+
+### Query Patterns
+
+- Reference established patterns for data access
+- Recall discussions about query optimizations
+- Remember specific requirements for data filtering and sorting
+
+## Best Practices
+
+1. Implement proper types for all data models
+2. Use validation for data integrity
+3. Implement proper error handling for all data operations
+4. Follow the principle of least privilege for data access
+5. Implement optimistic updates for a better user experience
+6. Use proper loading and error states for data-dependent UI
+7. Minimize data fetching and leverage caching where appropriate
+`,
+  'data-firestore': `### Firebase Firestore
+
+- Organize Firestore collections by entity type
+- Implement proper security rules for data access control
+- Use batch operations for related data changes
+- Structure data for efficient queries and minimal reads/writes
+`,
+  'data-react-query': `### React Query Integration
+
+- Use React Query hooks for data fetching and caching
+- Implement proper query keys for cache management
+- Use proper error handling and loading states
+- Leverage React Query's background refetching capabilities
+`,
+  'data-prisma': `### Prisma Integration
+
+- Define clear and comprehensive data models in the schema
+- Use Prisma Client for type-safe database queries
+- Leverage Prisma's transaction API for related operations
+- Implement proper error handling for database operations
+`,
+  'data-mongoose': `### Mongoose Integration
+
+- Define clear schema definitions with validation
+- Use Mongoose middleware for pre/post operation hooks
+- Implement proper indexing for performance
+- Use proper error handling for database operations
+`,
+  'data-sqlalchemy': `### SQLAlchemy Integration
+
+- Declare models with the typed declarative mapping (Mapped and mapped_column)
+- Scope sessions to a request or unit of work and close them reliably
+- Use select() statements and eager loading options to avoid N+1 queries
+- Manage schema changes with Alembic migrations
+`,
+  'data-django-orm': `### Django ORM Usage
+
+- Keep models in each app's models.py and business logic in model methods or services
+- Use select_related and prefetch_related to avoid N+1 queries
+- Create and commit a migration for every model change
+- Wrap related writes in transaction.atomic
+`,
+  'data-active-record': `### Active Record Usage
+
+- Put validations and associations in the models and keep callbacks few
+- Use scopes for reusable queries and includes to avoid N+1 queries
+- Change the schema only through migrations and commit db/schema.rb
+- Wrap related writes in a transaction block
+`,
+  'data-eloquent': `### Eloquent Usage
+
+- Declare $fillable or $guarded on every model to prevent mass assignment
+- Eager load relationships with with() to avoid N+1 queries
+- Use query scopes for reusable constraints
+- Change the schema only through migrations and wrap related writes in DB::transaction
+`,
+  'data-ef-core': `### Entity Framework Core Usage
+
+- Keep a DbContext per unit of work, registered with a scoped lifetime
+- Use AsNoTracking for read-only queries and project to DTOs with Select
+- Manage schema changes with migrations and review the generated SQL
+- Use the async query methods and pass a CancellationToken
+`,
+  'data-gorm': `### GORM Usage
+
+- Pass the request context with db.WithContext(ctx)
+- Check the Error of every query result
+- Preload associations explicitly to avoid N+1 queries
+- Manage production schema changes with versioned migrations instead of AutoMigrate
+`,
+  'data-default': `### Data Management Implementation
+
+- Organize data models logically by entity type
+- Implement proper data validation
+- Use transactions for related data changes
+- Implement proper error handling for data operations
+`,
+  'ui-components-rules': `---
+description: UI component guidelines and patterns
+globs: {{globs}}
+---
+# UI Components Guidelines
+
+## Pattern
+
+UI components in this project are built using {{#if patterns.ui}}{{patterns.ui}}{{else}}standard patterns{{/if}}.
+
+## UI Implementation
+
+### Component Organization
+
+- Organize components by function and reusability
+- Use a consistent naming convention for components
+- Implement proper component composition patterns
+- Separate presentation components from container components
+
+{{#if patterns.ui == "Tailwind CSS"}}
+{{> ui-tailwind}}
+{{else if patterns.ui == "Material UI"}}
+{{> ui-material-ui}}
+{{else if patterns.ui == "Chakra UI"}}
+{{> ui-chakra}}
+{{else if patterns.ui == "Radix UI"}}
+{{> ui-radix}}
+{{else}}
+{{> ui-default}}
+{{/if}}
+
+## Memory Usage For UI Components
+
+When working with UI components, apply these memory retrieval and application guidelines:
+
+### Component Library Usage
+
+- Reference the established patterns for using UI components
+- Recall discussions about component customization
+- Remember specific requirements for component behavior
+
+### Design System
+
+- Reference the design system guidelines
+- Recall discussions about design consistency
+- Remember specific requirements for responsive behavior
+
+## Best Practices
+
+1. Implement proper types for all component props
+2. Use proper semantic elements for accessibility
+3. Implement proper keyboard navigation and focus management
+4. Follow a consistent styling pattern
+5. Implement proper loading and error states for data-dependent components
+6. Use proper animations and transitions where appropriate
+7. Implement proper form handling and validation
+`,
+  'ui-tailwind': `### Tailwind CSS Usage
 
 - Use Tailwind CSS utility classes for styling
 - Implement consistent spacing and sizing patterns
 - Use Tailwind's theme extension for project-specific styles
-- Follow responsive design best practices`;
-  } else if (projectInfo.patterns.ui === 'Material UI') {
-    implementation = `
-### Material UI Integration
+- Follow responsive design best practices
+`,
+  'ui-material-ui': `### Material UI Integration
+
+- Use Material UI components for consistent design
+- Follow Material Design principles for spacing and layout
+- Leverage theme customization for consistent branding
+- Use proper component composition patterns
+`,
+  'ui-chakra': `### Chakra UI Integration
+
+- Use Chakra UI components for accessible UI elements
+- Leverage Chakra's theme for consistent styling
+- Use Chakra's layout components for responsive design
+- Follow accessibility best practices
+`,
+  'ui-radix': `### Radix UI Integration
+
+- Use Radix UI primitives for complex interactive components
+- Follow Radix UI's composition pattern for component customization
+- Implement proper accessibility features using Radix UI's built-in support
+- Use consistent styling patterns with Radix UI components
+`,
+  'ui-default': `### UI Component Implementation
+
+- Organize components by function and reusability
+- Use consistent naming and structural patterns
+- Implement proper component composition
+- Follow accessibility best practices
+`,
+  'workspaces-rules': `---
+description: Monorepo layout and how the workspace packages depend on each other
+globs: 
+---
+# {{name}} Workspaces
+
+This is a monorepo with {{workspaces.length}} workspace packages, declared in {{workspaceSources}}.
+
+## Packages
+
+{{#each workspaces}}
+- \`{{name}}\` in \`{{path}}\` - {{#if type == "unknown"}}no detected stack{{else}}{{type}}{{/if}}{{#if otherFrameworks}} ({{otherFrameworks}}){{/if}}
+{{/each}}
+
+## Dependencies Between Packages
+
+{{#each dependents}}
+- \`{{name}}\` depends on {{#each dependsOn}}{{#if not @first}}, {{/if}}\`{{this}}\`{{/each}}
+{{else}}
+No workspace package depends on another one.
+{{/each}}
+{{#if shared}}
+
+Shared packages used by other packages: {{#each shared}}{{#if not @first}}, {{/if}}\`{{this}}\`{{/each}}
+{{/if}}
+
+## Working Across Packages
+
+- Check which packages depend on a package before changing its exports
+- Import other workspace packages by package name rather than relative paths across package folders
+- Add dependencies to the package that uses them rather than to the workspace root
+- Keep shared tooling configuration at the root and extend it in the packages
+
+## Package Rules
+
+{{#each workspaces}}
+@file:{{rulesDir}}/{{ruleFile}}
+{{/each}}
+`,
+  'workspace-rules': `---
+description: Rules for the {{workspace.name}} package in {{workspace.path}}
+globs: {{globs}}
+---
+# {{workspace.name}} Package Rules
+
+## About This Package
+
+\`{{workspace.name}}\` is {{#if workspace.type == "unknown"}}a{{else}}the {{workspace.type}}{{/if}} package in \`{{workspace.path}}\` of the {{name}} monorepo.{{#if workspace.patterns.auth}} It uses {{workspace.patterns.auth}} for authentication.{{/if}}{{#if workspace.patterns.dataManagement}} It uses {{workspace.patterns.dataManagement}} for data management.{{/if}}{{#if workspace.patterns.ui}} Its UI is built with {{workspace.patterns.ui}}.{{/if}}
+
+## Technical Stack
+
+{{#each stack}}
+- {{this}}
+{{else}}
+- No frameworks detected
+{{/each}}
+
+## Workspace Dependencies
+
+- Depends on: {{#each workspace.dependsOn}}{{#if not @first}}, {{/if}}\`{{this}}\`{{else}}no other workspace package{{/each}}
+- Used by: {{#each usedBy}}{{#if not @first}}, {{/if}}\`{{this}}\`{{else}}no other workspace package{{/each}}
+
+## Guidelines
+
+- Keep this package's code inside \`{{workspace.path}}\` and import other packages by name
+- Declare the dependencies this package uses in \`{{workspace.path}}/package.json\`
+{{#if usedBy}}
+- Keep changes to its exports compatible with {{#each usedBy}}{{#if not @first}}, {{/if}}\`{{this}}\`{{/each}}
+{{else}}
+- No other workspace package imports this one, so its exports can change freely
+{{/if}}
+
+See @file:{{rulesDir}}/{{workspacesRule}} for how the packages fit together.
+`,
+  'best-practices': `---
+description: Best practices to implement for the tech stack used
+globs: 
+---
+
+{{#each practices}}
+{{this}}
+
+{{else}}
+{{> practices-general}}
+
+{{/each}}
+{{#if patterns.auth == "Firebase Authentication"}}
+{{> practices-firebase}}
+
+{{/if}}
+{{#if frameworks contains "Gin"}}
+{{> practices-gin}}
+
+{{/if}}
+{{#if frameworks contains "Axum"}}
+{{> practices-axum}}
+
+{{/if}}
+{{#if patterns.ui == "Tailwind CSS"}}
+{{> practices-tailwind}}
+
+{{/if}}
+General Standards:
+
+- Keep components small and focused for better maintainability
+- Follow proper state management patterns
+- Implement proper testing practices with unit and integration tests
+- Use linting and formatting tools for consistent code style and quality
+- Implement proper error handling and logging throughout the application
+`,
+  'practices-general': `General Best Practices:
+
+- Follow consistent code style and formatting
+- Implement proper error handling and validation
+- Write clear and comprehensive documentation
+- Use meaningful variable and function names
+- Write unit tests for critical functionality
+- Follow security best practices for the platform
+`,
+  'practices-firebase': `Firebase Best Practices:
+
+- Use Firebase Authentication for secure user management
+- Implement proper Firebase Security Rules for data protection
+- Utilize Firebase Firestore for efficient data storage
+- Implement proper error handling and offline support with Firebase
+- Use Firebase Performance Monitoring for identifying and fixing performance issues
+`,
+  'practices-gin': `Gin Best Practices:
+
+- Group routes with router.Group and attach middleware per group
+- Bind and validate requests with ShouldBind and binding tags
+- Return errors with c.AbortWithStatusJSON so later handlers do not run
+- Run in release mode in production and put timeouts on the http.Server
+`,
+  'practices-axum': `Axum Best Practices:
+
+- Share application state through State with an Arc instead of globals
+- Use extractors such as Json, Path and Query to parse requests
+- Implement IntoResponse for the application error type and return Result from handlers
+- Add timeouts, tracing and limits with tower and tower-http layers
+`,
+  'practices-tailwind': `Tailwind CSS Best Practices:
+
+- Use Tailwind CSS for efficient and consistent styling
+- Implement proper responsive design using Tailwind's utility classes
+- Utilize Tailwind's custom configuration for project-specific styles
+- Implement proper accessibility practices with Tailwind's focus and screen reader classes
+- Use Tailwind's component extraction patterns for reusable UI elements
+`
+};
+
+/**
+ * Generate project-specific rules based on analysis
+ */
+async function generateRules(projectInfo) {
+  console.log('📝 Generating project rules...');
+  
+  // Create main project rule
+  if (isRuleEnabled('project')) {
+    await createProjectRule(projectInfo);
+  }
+  
+  // Create specialized rules based on detected patterns
+  if (projectInfo.patterns.auth && isRuleEnabled('auth')) {
+    await createAuthRule(projectInfo);
+  }
+  
+  if (projectInfo.patterns.dataManagement && isRuleEnabled('data-management')) {
+    await createDataManagementRule(projectInfo);
+  }
+  
+  if (projectInfo.patterns.ui && isRuleEnabled('ui-components')) {
+    await createUIComponentsRule(projectInfo);
+  }
+  
+  // Create the monorepo rule and a rule scoped to each workspace package
+  if (projectInfo.workspaces.length > 0 && isRuleEnabled('workspaces')) {
+    await createWorkspacesRule(projectInfo);
+    for (const workspace of projectInfo.workspaces) {
+      await createWorkspaceRule(projectInfo, workspace);
+    }
+  }
+  removeStaleWorkspaceRules(projectInfo);
+  
+  // Create best practices rule
+  if (isRuleEnabled('best-practices')) {
+    await createBestPracticesRule(projectInfo);
+  }
+}
+
+/**
+ * Check whether the project config allows a rule file to be generated
+ */
+function isRuleEnabled(ruleId) {
+  const { rules } = runtime.projectConfig;
+  return !rules || rules.includes(ruleId);
+}
+
+/**
+ * List the rule files referenced from the main project rule
+ */
+function getRuleReferences(projectInfo) {
+  const references = [];
+  if (projectInfo.patterns.auth && isRuleEnabled('auth')) references.push(RULE_FILES.auth);
+  if (projectInfo.patterns.dataManagement && isRuleEnabled('data-management')) references.push(RULE_FILES['data-management']);
+  if (projectInfo.patterns.ui && isRuleEnabled('ui-components')) references.push(RULE_FILES['ui-components']);
+  if (projectInfo.workspaces.length > 0 && isRuleEnabled('workspaces')) references.push(RULE_FILES.workspaces);
+  if (isRuleEnabled('best-practices')) references.push(RULE_FILES['best-practices']);
+  return references;
+}
+
+/**
+ * Values every rule template can use: the analyzed project, plus where the
+ * rules and the memory file are
+ */
+function getTemplateContext(projectInfo) {
+  return {
+    ...projectInfo,
+    otherStacks: projectInfo.stacks.slice(1),
+    rulesDir: CONFIG.rulesDirName,
+    memoryFile: `${CONFIG.memoryDirName}/${CONFIG.memoryFileName}`
+  };
+}
+
+/**
+ * Create the main project rule file
+ */
+async function createProjectRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES.project);
+  const ruleContent = renderTemplate('project-rules', {
+    ...getTemplateContext(projectInfo),
+    // Determine file globs from the project's stacks
+    globs: getRuleGlobs(projectInfo, 'project'),
+    ruleReferences: getRuleReferences(projectInfo)
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'project rule');
+}
+
+/**
+ * Create authentication rule file
+ */
+async function createAuthRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES.auth);
+  const ruleContent = renderTemplate('auth-rules', {
+    ...getTemplateContext(projectInfo),
+    globs: getRuleGlobs(projectInfo, 'auth')
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'authentication rule');
+}
+
+/**
+ * Create data management rule file
+ */
+async function createDataManagementRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES['data-management']);
+  const ruleContent = renderTemplate('data-management-rules', {
+    ...getTemplateContext(projectInfo),
+    globs: getRuleGlobs(projectInfo, 'data-management')
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'data management rule');
+}
+
+/**
+ * Create UI components rule file
+ */
+async function createUIComponentsRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES['ui-components']);
+  const ruleContent = renderTemplate('ui-components-rules', {
+    ...getTemplateContext(projectInfo),
+    globs: getRuleGlobs(projectInfo, 'ui-components')
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'UI components rule');
+}
+
+/**
+ * Create the monorepo rule describing the workspace packages and how they
+ * depend on each other
+ */
+async function createWorkspacesRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES.workspaces);
+  const { workspaces } = projectInfo;
+  const ruleContent = renderTemplate('workspaces-rules', {
+    ...getTemplateContext(projectInfo),
+    packageManager: getPackageManager().name,
+    // Where the packages were found, rather than the package manager in use
+    workspaceSources: getWorkspaceSources().map(source => source.label),
+    workspaces: workspaces.map(workspace => ({
+      ...workspace,
+      otherFrameworks: workspace.frameworks.filter(framework => framework !== workspace.type),
+      ruleFile: getWorkspaceRuleFile(workspace)
+    })),
+    dependents: workspaces.filter(workspace => workspace.dependsOn.length > 0),
+    shared: workspaces
+      .filter(workspace => workspaces.some(other => other.dependsOn.includes(workspace.name)))
+      .map(workspace => workspace.name)
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'workspaces rule');
+}
+
+/**
+ * Create a rule scoped to one workspace package's directory
+ */
+async function createWorkspaceRule(projectInfo, workspace) {
+  const rulePath = path.join(CONFIG.rulesDirName, getWorkspaceRuleFile(workspace));
+  const ruleContent = renderTemplate('workspace-rules', {
+    ...getTemplateContext(projectInfo),
+    globs: getRuleGlobs(workspace, 'project', workspace.path),
+    workspace,
+    stack: [
+      ...workspace.frameworks,
+      ...Object.values(workspace.patterns).filter(Boolean),
+      ...workspace.testing
+    ],
+    usedBy: projectInfo.workspaces
+      .filter(other => other.dependsOn.includes(workspace.name))
+      .map(other => other.name),
+    workspacesRule: RULE_FILES.workspaces
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, `rule for workspace ${workspace.path}`);
+}
+
+/**
+ * Get the rule file name of a workspace package, derived from its path
+ */
+function getWorkspaceRuleFile(workspace) {
+  return `workspace-${workspace.path.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.mdc`;
+}
+
+/**
+ * Remove the generated rules of workspace packages that no longer exist,
+ * keeping any the user has edited
+ */
+function removeStaleWorkspaceRules(projectInfo) {
+  if (!isRuleEnabled('workspaces') || !fs.existsSync(CONFIG.rulesDirName)) {
+    return;
+  }
+  
+  const current = projectInfo.workspaces.map(getWorkspaceRuleFile);
+  for (const file of fs.readdirSync(CONFIG.rulesDirName)) {
+    const rulePath = path.join(CONFIG.rulesDirName, file);
+    if (!/^workspace-.+\.mdc$/.test(file) || current.includes(file) || !hasValidStamp(readText(rulePath))) {
+      continue;
+    }
+    removePath(rulePath);
+    removePath(getGeneratedBasePath(rulePath));
+    logDone(`  ✓ Removed rule of a workspace package that no longer exists: ${rulePath}`);
+  }
+}
+
+/**
+ * Create best practices rule file
+ */
+async function createBestPracticesRule(projectInfo) {
+  const rulePath = path.join(CONFIG.rulesDirName, RULE_FILES['best-practices']);
+  const ruleContent = renderTemplate('best-practices', {
+    ...getTemplateContext(projectInfo),
+    // Best practices for the project's stacks
+    practices: getStackDetectors(projectInfo)
+      .filter(detector => detector.practices)
+      .map(detector => detector.practices)
+  });
+  
+  await writeGeneratedFile(rulePath, ruleContent, 'best practices rule');
+}
+
+/**
+ * Get the directories searched for rule templates before the built-in ones:
+ * the project's, then the user's
+ */
+function getTemplateDirs() {
+  return [
+    { source: 'project', dir: path.join(CONFIG.memoryDirName, 'templates') },
+    { source: 'user', dir: path.join(getAppConfigDir('mcp-setup'), 'templates') }
+  ];
+}
+
+/**
+ * Find a template by name: <name>.md in a template directory, or the built-in
+ * template. Returns null if there is neither.
+ */
+function loadTemplate(name) {
+  for (const { source, dir } of getTemplateDirs()) {
+    const filePath = path.join(dir, `${name}.md`);
+    if (pathExists(filePath)) {
+      return { name, source, path: filePath, text: readText(filePath) };
+    }
+  }
+  if (!Object.hasOwn(RULE_TEMPLATES, name)) {
+    return null;
+  }
+  return { name, source: 'built-in', path: null, text: RULE_TEMPLATES[name] };
+}
+
+/**
+ * Render a rule template with the given values
+ */
+function renderTemplate(name, context) {
+  const template = loadTemplate(name);
+  return renderTemplateNodes(parseTemplate(template), [{ value: context }], [name]);
+}
+
+/**
+ * Parse a template into text, variable, if, each and partial nodes.
+ *
+ * Tags are {{name.path}}, {{#if condition}} ... {{else if condition}} ...
+ * {{else}} ... {{/if}}, {{#each list}} ... {{else}} ... {{/each}},
+ * {{> partial}} and {{! comment}}. Any tag but a variable that is alone on its
+ * line removes the whole line, so blocks do not leave blank lines behind.
+ */
+function parseTemplate(template) {
+  const source = template.text.replace(/\r\n/g, '\n');
+  const root = [];
+  const open = [];
+  let target = root;
+  let position = 0;
+  
+  for (const match of source.matchAll(/\{\{([\s\S]*?)\}\}/g)) {
+    const tag = match[1].trim();
+    const start = match.index;
+    const end = start + match[0].length;
+    const line = source.slice(0, start).split('\n').length;
+    const location = `${template.path || `built-in template ${template.name}`}, line ${line}`;
+    const node = parseTemplateTag(tag, location);
+  
+    // Keep the text before the tag, leaving out the line of a standalone tag
+    let textEnd = start;
+    let next = end;
+    if (node.type !== 'variable') {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline < 0 ? source.length : newline;
+      if (!source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        textEnd = lineStart;
+        next = newline < 0 ? lineEnd : newline + 1;
+      }
+    }
+    if (textEnd > position) {
+      target.push({ type: 'text', value: source.slice(position, textEnd) });
+    }
+    position = next;
+  
+    const block = open[open.length - 1];
+    if (node.type === 'if' || node.type === 'each') {
+      target.push(node);
+      open.push({ node, parent: target, location, line });
+      target = node.type === 'if' ? node.branches[0].nodes : node.nodes;
+    } else if (node.type === 'else') {
+      if (!block || block.hasElse || (block.node.type === 'each' && node.condition)) {
+        throw new Error(`${location}: unexpected {{${tag}}}`);
+      }
+      block.hasElse = !node.condition;
+      if (block.node.type === 'each') {
+        target = block.node.otherwise;
+      } else {
+        const branch = { condition: node.condition, nodes: [] };
+        block.node.branches.push(branch);
+        target = branch.nodes;
+      }
+    } else if (node.type === 'close') {
+      if (!block) {
+        throw new Error(`${location}: {{/${node.block}}} has no matching {{#${node.block}}}`);
+      }
+      if (block.node.type !== node.block) {
+        throw new Error(`${location}: {{/${node.block}}} found while the {{#${block.node.type}}} from line ${block.line} is open`);
+      }
+      open.pop();
+      target = block.parent;
+    } else if (node.type !== 'comment') {
+      target.push(node);
+    }
+  }
+  
+  if (open.length > 0) {
+    const block = open[open.length - 1];
+    throw new Error(`${block.location}: {{#${block.node.type}}} is never closed`);
+  }
+  if (position < source.length) {
+    target.push({ type: 'text', value: source.slice(position) });
+  }
+  return root;
+}
+
+/**
+ * Parse the inside of a template tag
+ */
+function parseTemplateTag(tag, location) {
+  if (tag.startsWith('!')) {
+    return { type: 'comment' };
+  }
+  const block = tag.match(/^#(if|each)\s+(.+)$/s);
+  if (block) {
+    return block[1] === 'if'
+      ? { type: 'if', branches: [{ condition: parseTemplateCondition(block[2], location), nodes: [] }] }
+      : { type: 'each', path: parseTemplatePath(block[2], location), nodes: [], otherwise: [] };
+  }
+  const otherwise = tag.match(/^else(?:\s+if\s+(.+))?$/s);
+  if (otherwise) {
+    return { type: 'else', condition: otherwise[1] ? parseTemplateCondition(otherwise[1], location) : null };
+  }
+  const close = tag.match(/^\/(if|each)$/);
+  if (close) {
+    return { type: 'close', block: close[1] };
+  }
+  const partial = tag.match(/^>\s*([\w-]+)$/);
+  if (partial) {
+    return { type: 'partial', name: partial[1], location };
+  }
+  return { type: 'variable', path: parseTemplatePath(tag, location) };
+}
+
+/**
+ * Parse an #if condition: `name`, `not name`, or `name` followed by ==, != or
+ * contains and a quoted string
+ */
+function parseTemplateCondition(expression, location) {
+  const match = expression.match(/^(not\s+)?(\S+)(?:\s+(==|!=|contains)\s+"([^"]*)")?$/);
+  if (!match) {
+    throw new Error(`${location}: invalid condition "${expression}"`);
+  }
+  return { negate: Boolean(match[1]), path: parseTemplatePath(match[2], location), operator: match[3], value: match[4] };
+}
+
+/**
+ * Check a dotted value name, or one of the loop variables @index, @first and @last
+ */
+function parseTemplatePath(expression, location) {
+  if (!/^(@(index|first|last)|[\w-]+(\.[\w-]+)*)$/.test(expression)) {
+    throw new Error(`${location}: invalid name "${expression}"`);
+  }
+  return expression;
+}
+
+/**
+ * Render parsed template nodes. `scopes` holds the values and the items of the
+ * enclosing each loops, innermost last, and `partials` the templates being
+ * rendered, to stop partials that include themselves.
+ */
+function renderTemplateNodes(nodes, scopes, partials) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      output += formatTemplateValue(lookupTemplateValue(node.path, scopes));
+    } else if (node.type === 'if') {
+      const branch = node.branches.find(({ condition }) => !condition || testTemplateCondition(condition, scopes));
+      if (branch) output += renderTemplateNodes(branch.nodes, scopes, partials);
+    } else if (node.type === 'each') {
+      const value = lookupTemplateValue(node.path, scopes);
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        output += renderTemplateNodes(node.otherwise, scopes, partials);
+      }
+      items.forEach((item, index) => {
+        const loop = { value: item, index, first: index === 0, last: index === items.length - 1 };
+        output += renderTemplateNodes(node.nodes, [...scopes, loop], partials);
+      });
+    } else if (node.type === 'partial') {
+      const template = loadTemplate(node.name);
+      if (!template) {
+        throw new Error(`${node.location}: unknown partial ${node.name}`);
+      }
+      if (partials.includes(node.name)) {
+        throw new Error(`${node.location}: partial ${node.name} includes itself`);
+      }
+      output += renderTemplateNodes(parseTemplate(template), scopes, [...partials, node.name]);
+    }
+  }
+  return output;
+}
+
+/**
+ * Look up a dotted name in the innermost scope that has its first part. `this`
+ * is the current loop item, @index, @first and @last its position in the list.
+ */
+function lookupTemplateValue(name, scopes) {
+  const [head, ...rest] = name.split('.');
+  const innermost = scopes[scopes.length - 1];
+  let value;
+  if (head.startsWith('@')) {
+    value = innermost[head.slice(1)];
+  } else if (head === 'this') {
+    value = innermost.value;
+  } else {
+    const scope = [...scopes].reverse().find(({ value: item }) => item !== null && typeof item === 'object' && head in item);
+    value = scope ? scope.value[head] : undefined;
+  }
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+/**
+ * Format a value for output: lists are joined with commas, missing values are empty
+ */
+function formatTemplateValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Evaluate an #if condition. Empty lists are false, `contains` checks a list
+ * item or a substring.
+ */
+function testTemplateCondition(condition, scopes) {
+  const value = lookupTemplateValue(condition.path, scopes);
+  let result;
+  if (condition.operator === 'contains') {
+    result = (Array.isArray(value) || typeof value === 'string') && value.includes(condition.value);
+  } else if (condition.operator) {
+    result = (formatTemplateValue(value) === condition.value) === (condition.operator === '==');
+  } else {
+    result = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+  return condition.negate ? !result : result;
+}
+
+/**
+ * List the template files in the project and user template directories
+ */
+function findTemplateFiles() {
+  const files = [];
+  for (const { source, dir } of getTemplateDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.md')).sort()) {
+      files.push({ name: file.slice(0, -'.md'.length), source, path: path.join(dir, file) });
+    }
+  }
+  return files;
+}
+
+/**
+ * List the partials a parsed template includes
+ */
+function getTemplatePartials(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'partial') return [node];
+    if (node.type === 'if') return node.branches.flatMap(branch => getTemplatePartials(branch.nodes));
+    if (node.type === 'each') return [...getTemplatePartials(node.nodes), ...getTemplatePartials(node.otherwise)];
+    return [];
+  });
+}
+
+/**
+ * Create initial memory file with enhanced context
+ */
+function createMemoryFile(projectInfo, projectContext) {
+  console.log('💾 Creating initial memory file...');
+  
+  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  const basePath = getGeneratedBasePath(memoryPath);
+  const seed = createSeedGraph(projectInfo, projectContext);
+  
+  if (!pathExists(memoryPath)) {
+    writeText(memoryPath, serializeMemory(seed));
+    writeGeneratedBase(basePath, serializeMemory(seed));
+    logDone(`  ✓ Created knowledge graph memory file at: ${memoryPath}`);
+    return;
+  }
+  
+  // Keep every accumulated memory and only refresh what setup seeded last time
+  const previous = readText(memoryPath);
+  let graph;
+  let previousSeed;
+  try {
+    graph = migrateMemory(parseMemory(previous));
+    previousSeed = pathExists(basePath) ? parseMemory(readText(basePath)) : parseMemory('');
+  } catch (error) {
+    console.log(`  ⚠️ Could not read ${memoryPath} (${error.message}), leaving it unchanged`);
+    return;
+  }
+  
+  const content = serializeMemory(mergeSeedGraph(graph, seed, previousSeed));
+  if (content === previous) {
+    console.log(`  ✓ Memory file is up to date: ${memoryPath}`);
+  } else {
+    backupMemoryFile(previous);
+    writeText(memoryPath, content);
+    logDone(`  ✓ Updated memory file at: ${memoryPath} (${graph.entities.length} entities, ${graph.relations.length} relations)`);
+  }
+  if (!pathExists(basePath) || readText(basePath) !== serializeMemory(seed)) {
+    writeGeneratedBase(basePath, serializeMemory(seed));
+  }
+}
+
+/**
+ * Build the knowledge graph setup seeds the memory file with: the project, its
+ * frameworks and detected patterns, and observations from its documentation
+ */
+function createSeedGraph(projectInfo, projectContext) {
+  const project = projectInfo.name;
+  const entities = [{
+    name: project,
+    entityType: 'project',
+    observations: [
+      `Project type: ${projectInfo.type}`,
+      'MCP Memory Server configured for this project',
+      ...projectContext.split('\n').map(line => line.trim()).filter(Boolean)
+    ]
+  }];
+  const relations = [];
+  
+  const link = (name, entityType, relationType, observation) => {
+    if (!entities.some(entity => entity.name === name)) {
+      entities.push({ name, entityType, observations: [observation] });
+    }
+    relations.push({ from: project, to: name, relationType });
+  };
+  projectInfo.frameworks.forEach(framework => link(framework, 'framework', 'uses', `Framework used by ${project}`));
+  if (projectInfo.patterns.auth) {
+    link(projectInfo.patterns.auth, 'authentication', 'authenticates with', `Handles authentication for ${project}`);
+  }
+  if (projectInfo.patterns.dataManagement) {
+    link(projectInfo.patterns.dataManagement, 'data management', 'manages data with', `Handles data management for ${project}`);
+  }
+  if (projectInfo.patterns.ui) {
+    link(projectInfo.patterns.ui, 'ui library', 'builds UI with', `Used to build the UI of ${project}`);
+  }
+  
+  return { version: MEMORY_SCHEMA_VERSION, entities, relations };
+}
+
+/**
+ * Merge a new setup seed into a memory graph, replacing what the previous seed
+ * contributed and keeping everything else
+ */
+function mergeSeedGraph(graph, seed, previousSeed) {
+  const findEntity = (entities, name) => entities.find(entity => entity.name === name);
+  const sameRelation = (a, b) => a.from === b.from && a.to === b.to && a.relationType === b.relationType;
+  
+  // Drop observations and relations the previous seed added that are no longer generated
+  for (const stale of previousSeed.entities) {
+    const entity = findEntity(graph.entities, stale.name);
+    const current = findEntity(seed.entities, stale.name);
+    if (entity) {
+      entity.observations = entity.observations.filter(observation =>
+        !stale.observations.includes(observation) || (current && current.observations.includes(observation)));
+    }
+  }
+  graph.relations = graph.relations.filter(relation =>
+    !previousSeed.relations.some(stale => sameRelation(stale, relation)) ||
+    seed.relations.some(current => sameRelation(current, relation)));
+  
+  // Add everything the new seed generates
+  for (const entity of seed.entities) {
+    const existing = findEntity(graph.entities, entity.name);
+    if (existing) {
+      existing.observations.push(...entity.observations.filter(observation => !existing.observations.includes(observation)));
+    } else {
+      graph.entities.push({ ...entity, observations: [...entity.observations] });
+    }
+  }
+  for (const relation of seed.relations) {
+    if (!graph.relations.some(existing => sameRelation(existing, relation))) {
+      graph.relations.push({ ...relation });
+    }
+  }
+  
+  // Seeded entities that are left empty and unreferenced were only there for setup
+  graph.entities = graph.entities.filter(entity =>
+    entity.observations.length > 0 ||
+    !findEntity(previousSeed.entities, entity.name) ||
+    findEntity(seed.entities, entity.name) ||
+    graph.relations.some(relation => relation.from === entity.name || relation.to === entity.name));
+  
+  return graph;
+}
+
+/**
+ * Parse a memory file: a knowledge graph with one JSON entity or relation per
+ * line, or a legacy `entries` document
+ */
+function parseMemory(text) {
+  // Legacy documents are a single (usually pretty-printed) JSON object without a type
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    document = null;
+  }
+  if (document && typeof document === 'object' && !Array.isArray(document) && !('type' in document)) {
+    return document;
+  }
+  
+  const lines = text.split('\n').filter(line => line.trim());
+  const graph = { version: MEMORY_SCHEMA_VERSION, entities: [], relations: [] };
+  lines.forEach((line, index) => {
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`line ${index + 1}: ${error.message}`);
+    }
+    const { type, ...rest } = item || {};
+    if (type === 'entity') {
+      graph.entities.push({ ...rest, observations: Array.isArray(rest.observations) ? rest.observations : [] });
+    } else if (type === 'relation') {
+      graph.relations.push(rest);
+    } else {
+      throw new Error(`line ${index + 1}: expected an entity or a relation`);
+    }
+  });
+  return graph;
+}
+
+/**
+ * Serialize a knowledge graph as JSON lines, the format the memory server reads
+ */
+function serializeMemory(graph) {
+  const lines = [
+    ...graph.entities.map(entity => JSON.stringify({ type: 'entity', ...entity })),
+    ...graph.relations.map(relation => JSON.stringify({ type: 'relation', ...relation }))
+  ];
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Convert legacy memory entries to a knowledge graph: one entity per entry, with
+ * an observation per line of its content. Reports what could not be kept.
+ */
+function entriesToGraph(entries) {
+  const graph = { version: MEMORY_SCHEMA_VERSION, entities: [], relations: [] };
+  const losses = createLossReport();
+  
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      losses.add('entries that are not objects were dropped', `#${index + 1}`);
+      return;
+    }
+    
+    const name = entry.id !== undefined && entry.id !== null ? String(entry.id) : `entry-${index + 1}`;
+    const content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content ?? '');
+    const observations = content.split('\n').map(line => line.trim()).filter(Boolean);
+    
+    if (name !== entry.id) losses.add('entries without a text id were given one', name);
+    if (typeof entry.content !== 'string') losses.add('non-text content was stored as JSON', name);
+    if (observations.join('\n') !== content.trim()) losses.add('blank lines and indentation were dropped', name);
+    if (entry.timestamp) losses.add('timestamps were dropped', name);
+    const extra = Object.keys(entry).filter(key => !['id', 'timestamp', 'content'].includes(key));
+    if (extra.length > 0) losses.add(`fields other than id and content were dropped (${extra.join(', ')})`, name);
+    
+    const existing = graph.entities.find(entity => entity.name === name);
+    if (existing) {
+      losses.add('entries with the same id were merged into one entity', name);
+      existing.observations.push(...observations);
+    } else {
+      graph.entities.push({ name, entityType: 'memory', observations });
+    }
+  });
+  
+  return { graph, losses: losses.list() };
+}
+
+/**
+ * Convert a knowledge graph to legacy memory entries: one entry per entity, with
+ * its observations as lines of content. Reports what could not be kept.
+ */
+function graphToEntries(graph) {
+  const timestamp = new Date().toISOString();
+  const losses = createLossReport();
+  
+  const entries = graph.entities.map(entity => {
+    if (entity.entityType !== 'memory') losses.add('entity types were dropped', entity.name);
+    if (entity.observations.some(observation => String(observation).includes('\n'))) {
+      losses.add('observations spanning several lines were joined', entity.name);
+    }
+    return { id: entity.name, timestamp, content: entity.observations.join('\n') };
+  });
+  graph.relations.forEach(relation => {
+    losses.add('relations were dropped', `${relation.from} ${relation.relationType} ${relation.to}`);
+  });
+  
+  return { memory: { version: 2, entries }, losses: losses.list() };
+}
+
+/**
+ * Collect lossy conversion messages, grouping the affected items per message
+ */
+function createLossReport() {
+  const groups = new Map();
+  return {
+    add(message, item) {
+      if (!groups.has(message)) groups.set(message, []);
+      groups.get(message).push(item);
+    },
+    list() {
+      return [...groups].map(([message, items]) => {
+        const sample = items.slice(0, 3).join(', ');
+        return `${message}: ${sample}${items.length > 3 ? ` and ${items.length - 3} more` : ''}`;
+      });
+    }
+  };
+}
+
+/**
+ * Bring a parsed memory file up to the current format version
+ */
+function migrateMemory(memory) {
+  if (!memory || typeof memory !== 'object' || Array.isArray(memory)) {
+    throw new Error('expected a JSON object');
+  }
+  
+  let migrated = memory;
+  let version = migrated.version || 1;
+  if (version > MEMORY_SCHEMA_VERSION) {
+    throw new Error(`format version ${version} is newer than this script supports`);
+  }
+  while (version < MEMORY_SCHEMA_VERSION) {
+    migrated = MEMORY_MIGRATIONS[version](migrated);
+    console.log(`  ✓ Migrated memory file from version ${version} to ${migrated.version}`);
+    version = migrated.version;
+  }
+  if (!Array.isArray(migrated.entities) || !Array.isArray(migrated.relations)) {
+    throw new Error('expected a knowledge graph');
+  }
+  return migrated;
+}
 
-- Use Material UI components for consistent design
-- Follow Material Design principles for spacing and layout
-- Leverage theme customization for consistent branding
-- Use proper component composition patterns`;
-  } else if (projectInfo.patterns.ui === 'Chakra UI') {
-    implementation = `
-### Chakra UI Integration
+/**
+ * Save a copy of the memory file to the backups directory before changing it
+ */
+function backupMemoryFile(content) {
+  const backupDir = path.join(CONFIG.memoryDirName, 'backups');
+  if (!pathExists(backupDir)) {
+    makeDir(backupDir);
+  }
+  
+  const timestamp = new Date().toISOString().replace(/:/g, '-');
+  const backupPath = path.join(backupDir, `memory-${timestamp}.json`);
+  writeText(backupPath, content);
+  writeText(`${backupPath}.sha256`, `${hashContent(content)}  ${path.basename(backupPath)}\n`);
+  logDone(`  ✓ Backed up memory file to: ${backupPath}`);
+}
 
-- Use Chakra UI components for accessible UI elements
-- Leverage Chakra's theme for consistent styling
-- Use Chakra's layout components for responsive design
-- Follow accessibility best practices`;
-  } else if (projectInfo.patterns.ui === 'Radix UI') {
-    implementation = `
-### Radix UI Integration
+/**
+ * Log a completed action (dry runs report planned actions instead)
+ */
+function logDone(message) {
+  if (!runtime.dryRun) {
+    console.log(message);
+  }
+}
+
+/**
+ * Format a path for display, relative to the project when possible
+ */
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), path.resolve(filePath));
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : path.resolve(filePath);
+}
+
+/**
+ * Record a planned action during a dry run
+ */
+function recordAction(action, target) {
+  runtime.plan.push({ action, target });
+  console.log(`  ~ Would ${action} ${target}`);
+}
+
+/**
+ * Check whether a path exists, including paths planned by a dry run
+ */
+function pathExists(filePath) {
+  const resolved = path.resolve(filePath);
+  return runtime.files.has(resolved) || runtime.dirs.has(resolved) || fs.existsSync(resolved);
+}
+
+/**
+ * Read a text file, including content planned by a dry run
+ */
+function readText(filePath) {
+  const resolved = path.resolve(filePath);
+  if (runtime.files.has(resolved)) {
+    return runtime.files.get(resolved);
+  }
+  return fs.readFileSync(resolved, 'utf8');
+}
+
+/**
+ * Read a text file if it exists, or return null
+ */
+function readOptionalText(filePath) {
+  return pathExists(filePath) ? readText(filePath) : null;
+}
+
+/**
+ * Write a text file, or print a unified diff of the change in dry-run mode.
+ * Writes are recorded in the setup manifest unless `track` is false.
+ */
+function writeText(filePath, content, { mode, track = true } = {}) {
+  if (!runtime.dryRun) {
+    if (track) trackFile(filePath, content);
+    fs.writeFileSync(filePath, content);
+    if (mode) fs.chmodSync(filePath, mode);
+    return;
+  }
+  
+  const previous = pathExists(filePath) ? readText(filePath) : null;
+  const target = displayPath(filePath);
+  if (previous === content) {
+    console.log(`  ~ ${target} is already up to date`);
+    return;
+  }
+  
+  recordAction(previous === null ? 'create' : 'update', target);
+  console.log(unifiedDiff(previous, content, target).replace(/^/gm, '    '));
+  runtime.files.set(path.resolve(filePath), content);
+}
+
+/**
+ * Write a generated file stamped with a hash of its content. Untouched files
+ * are regenerated, edited ones are skipped, overwritten or merged (--on-conflict).
+ */
+async function writeGeneratedFile(filePath, content, label) {
+  const basePath = getGeneratedBasePath(filePath);
+  const base = pathExists(basePath) ? readText(basePath) : null;
+  const current = pathExists(filePath) ? readText(filePath) : null;
+  let output = stampGenerated(content);
+  
+  if (current === output) {
+    console.log(`  ✓ ${filePath} is already up to date`);
+    if (base !== content) writeGeneratedBase(basePath, content);
+    return;
+  }
+  
+  if (current !== null && !hasValidStamp(current)) {
+    // Nothing new was generated since the last run, so the user's edits stand as they are
+    if (base === content) {
+      console.log(`  ✓ Kept edited ${label}, no generated changes: ${filePath}`);
+      return;
+    }
+    
+    const action = await resolveConflict(filePath);
+    if (action === 'skip') {
+      console.log(`  ⚠️ Kept edited ${label}: ${filePath}`);
+      return;
+    }
+    if (action === 'merge') {
+      const merged = mergeThreeWay(base, stripStamp(current), content);
+      output = merged.text;
+      if (merged.conflicts > 0) {
+        console.log(`  ⚠️ ${merged.conflicts} merge conflict(s) in ${filePath}, resolve the <<<<<<< markers by hand`);
+      }
+    }
+  }
+  
+  writeText(filePath, output);
+  writeGeneratedBase(basePath, content);
+  logDone(`  ✓ ${current === null ? 'Created' : 'Updated'} ${label}: ${filePath}`);
+}
+
+/**
+ * Decide what to do with a generated file the user has edited
+ */
+async function resolveConflict(filePath) {
+  if (runtime.onConflict !== 'ask') {
+    return runtime.onConflict;
+  }
+  if (runtime.dryRun || !process.stdin.isTTY) {
+    console.log(`  ⚠️ ${filePath} was edited since it was generated (pass --on-conflict overwrite or merge to update it)`);
+    return 'skip';
+  }
+  
+  const answer = await ask(`  ❓ ${filePath} was edited since it was generated. [s]kip, [o]verwrite or [m]erge? (s) `);
+  return { o: 'overwrite', overwrite: 'overwrite', m: 'merge', merge: 'merge' }[answer.toLowerCase()] || 'skip';
+}
+
+/**
+ * Path of the last generated version of a file, kept as the base for merges
+ */
+function getGeneratedBasePath(filePath) {
+  return path.join(CONFIG.memoryDirName, 'generated', displayPath(filePath));
+}
+
+/**
+ * Save the last generated version of a file
+ */
+function writeGeneratedBase(basePath, content) {
+  if (!pathExists(path.dirname(basePath))) {
+    makeDir(path.dirname(basePath));
+  }
+  writeText(basePath, content);
+}
+
+/**
+ * Append the generated-file stamp to content
+ */
+function stampGenerated(content) {
+  return `${content}<!-- mcp-setup:generated sha256=${hashContent(content)} -->\n`;
+}
+
+/**
+ * Check whether a file still matches the hash in its generated-file stamp
+ */
+function hasValidStamp(text) {
+  const match = GENERATED_STAMP.exec(text);
+  return Boolean(match) && hashContent(text.slice(0, match.index)) === match[1];
+}
+
+/**
+ * Remove the generated-file stamp from a file's content
+ */
+function stripStamp(text) {
+  return text.replace(GENERATED_STAMP, '');
+}
+
+/**
+ * Remove a file or directory, or record it in dry-run mode
+ */
+function removePath(targetPath) {
+  const resolved = path.resolve(targetPath);
+  if (!runtime.dryRun) {
+    fs.rmSync(resolved, { recursive: true, force: true });
+    return;
+  }
+  
+  recordAction('remove', displayPath(targetPath));
+  runtime.files.delete(resolved);
+  runtime.dirs.delete(resolved);
+}
+
+/**
+ * Create a directory (and its parents), or record it in dry-run mode
+ */
+function makeDir(dirPath) {
+  if (!runtime.dryRun) {
+    trackDirectory(dirPath);
+    fs.mkdirSync(dirPath, { recursive: true });
+    return;
+  }
+  
+  recordAction('create directory', displayPath(dirPath));
+  runtime.dirs.add(path.resolve(dirPath));
+}
+
+/**
+ * Run a shell command, or record it in dry-run mode
+ */
+function runCommand(command, options = {}) {
+  if (runtime.dryRun) {
+    recordAction('run', command);
+    return '';
+  }
+  return execSync(command, options);
+}
+
+/**
+ * Get the path of the manifest recording what setup changed
+ */
+function getManifestPath() {
+  return path.join(CONFIG.memoryDirName, 'manifest.json');
+}
+
+/**
+ * Load the setup manifest, or null when setup has not recorded one
+ */
+function loadManifest() {
+  if (runtime.manifest !== undefined) {
+    return runtime.manifest;
+  }
+  
+  try {
+    runtime.manifest = JSON.parse(fs.readFileSync(getManifestPath(), 'utf8'));
+  } catch (error) {
+    runtime.manifest = null;
+  }
+  return runtime.manifest;
+}
+
+/**
+ * Get the setup manifest for recording changes, creating an empty one if needed
+ */
+function getManifest() {
+  if (!loadManifest()) {
+    runtime.manifest = {
+      version: 1,
+      files: {},
+      directories: [],
+      packages: { packageJsonCreated: false, created: [], added: [] },
+      scripts: {}
+    };
+  }
+  runtime.manifestChanged = true;
+  return runtime.manifest;
+}
+
+/**
+ * Save the setup manifest if anything was recorded
+ */
+function saveManifest() {
+  if (!runtime.manifest || !runtime.manifestChanged || runtime.dryRun) {
+    return;
+  }
+  
+  const manifestPath = getManifestPath();
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify({ ...runtime.manifest, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Hash file content for change detection
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Record a file's content from before its first write by setup
+ */
+function trackFile(filePath, content) {
+  const manifest = getManifest();
+  const key = displayPath(filePath);
+  if (!manifest.files[key]) {
+    manifest.files[key] = { previous: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null };
+  }
+  manifest.files[key].written = hashContent(content);
+}
+
+/**
+ * Record the directories a recursive mkdir is about to create
+ */
+function trackDirectory(dirPath) {
+  const missing = [];
+  for (let dir = path.resolve(dirPath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+    missing.unshift(displayPath(dir));
+  }
+  
+  if (missing.length > 0) {
+    const manifest = getManifest();
+    missing.filter(dir => !manifest.directories.includes(dir)).forEach(dir => manifest.directories.push(dir));
+  }
+}
+
+/**
+ * Record that setup created package.json
+ */
+function recordPackageJsonCreated() {
+  if (runtime.dryRun) return;
+  
+  getManifest().packages.packageJsonCreated = true;
+}
+
+/**
+ * Record the paths (lockfile, node_modules) that an install created
+ */
+function recordCreatedPaths(paths) {
+  if (runtime.dryRun) return;
+  
+  const manifest = getManifest();
+  for (const file of paths) {
+    if (fs.existsSync(file) && !manifest.packages.created.includes(file)) {
+      manifest.packages.created.push(file);
+    }
+  }
+}
+
+/**
+ * Record which packages are about to be added as new dependencies
+ */
+function recordAddedPackages(packageNames) {
+  if (runtime.dryRun) return;
+  
+  const manifest = getManifest();
+  let dependencies = {};
+  try {
+    const content = readText('package.json');
+    const packageJson = JSON.parse(content);
+    dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    recordOriginalPackageJson(manifest, content);
+  } catch (error) {
+    // package.json was just created
+  }
+  
+  manifest.packages.manager = getPackageManager().name;
+  for (const name of packageNames) {
+    if (!dependencies[name] && !manifest.packages.added.includes(name)) {
+      manifest.packages.added.push(name);
+    }
+  }
+}
+
+/**
+ * Record the server entries setup wrote to a shared user-level client
+ * configuration, the only part of it uninstall removes
+ */
+function recordGlobalServerEntries(configPath, names) {
+  if (runtime.dryRun) return;
+  
+  const manifest = getManifest();
+  const key = displayPath(configPath);
+  if (!manifest.globalEntries) manifest.globalEntries = {};
+  manifest.globalEntries[key] = [...new Set([...(manifest.globalEntries[key] || []), ...names])];
+}
+
+/**
+ * Record which Python packages are about to be installed into a virtual environment
+ */
+function recordAddedPythonPackages(venv, packageNames) {
+  if (runtime.dryRun) return;
+  
+  const manifest = getManifest();
+  const python = getVenvExecutable(venv, 'python');
+  if (!manifest.packages.python) manifest.packages.python = { venv, added: [] };
+  for (const name of packageNames) {
+    if (manifest.packages.python.added.includes(name)) continue;
+    try {
+      execSync(`"${python}" -m pip show ${name}`, { stdio: 'ignore' });
+    } catch (error) {
+      // Not installed before setup
+      manifest.packages.python.added.push(name);
+    }
+  }
+}
+
+/**
+ * Keep package.json as it was before setup first changed it, to restore its formatting
+ */
+function recordOriginalPackageJson(manifest, content = readText('package.json')) {
+  if (!manifest.packages.packageJsonCreated && manifest.packages.originalPackageJson === undefined) {
+    manifest.packages.originalPackageJson = content;
+  }
+}
+
+/**
+ * Record a package.json script's value from before setup first set it
+ */
+function recordScript(name, previous, value) {
+  if (runtime.dryRun) return;
+  
+  const manifest = getManifest();
+  recordOriginalPackageJson(manifest);
+  if (!manifest.scripts[name]) {
+    manifest.scripts[name] = { previous: previous === undefined ? null : previous };
+  }
+  manifest.scripts[name].value = value;
+}
+
+/**
+ * Compute a line-based edit script between two lists of lines
+ */
+function diffLines(oldLines, newLines) {
+  // Trim the common prefix and suffix so the LCS table stays small
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const middle = [];
+  
+  if (a.length * b.length > 4000000) {
+    // Too large for a full LCS: treat the changed region as a replacement
+    a.forEach(line => middle.push({ type: '-', line }));
+    b.forEach(line => middle.push({ type: '+', line }));
+  } else {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push({ type: ' ', line: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        middle.push({ type: '-', line: a[i++] });
+      } else {
+        middle.push({ type: '+', line: b[j++] });
+      }
+    }
+    while (i < a.length) middle.push({ type: '-', line: a[i++] });
+    while (j < b.length) middle.push({ type: '+', line: b[j++] });
+  }
+  
+  return [
+    ...oldLines.slice(0, start).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map(line => ({ type: ' ', line }))
+  ];
+}
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ */
+function toLines(text) {
+  if (text === null || text === '') return [];
+  return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Render a unified diff between two versions of a file
+ */
+function unifiedDiff(oldText, newText, label, context = 3) {
+  const ops = diffLines(toLines(oldText), toLines(newText));
+  const header = [
+    oldText === null ? '--- /dev/null' : `--- a/${label}`,
+    `+++ b/${label}`
+  ];
+  
+  // Group changes into hunks separated by more than 2 * context unchanged lines
+  const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  const hunks = [];
+  for (const index of changes) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+  
+  const lines = [...header];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    const before = ops.slice(0, from);
+    const body = ops.slice(from, to);
+    
+    const oldStart = before.filter(op => op.type !== '+').length;
+    const newStart = before.filter(op => op.type !== '-').length;
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+    
+    lines.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+    body.forEach(op => lines.push(`${op.type}${op.line}`));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Merge the user's edits and a newly generated version of a file against the
+ * previously generated base. Without a base, every difference is a conflict.
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const oursLines = toLines(ours);
+  const theirsLines = toLines(theirs);
+  const baseLines = base !== null
+    ? toLines(base)
+    : diffLines(oursLines, theirsLines).filter(op => op.type === ' ').map(op => op.line);
+  
+  // Map every base line to its position in each side, or -1 when it was changed
+  const matchLines = lines => {
+    const matches = new Array(baseLines.length).fill(-1);
+    let i = 0;
+    let j = 0;
+    for (const op of diffLines(baseLines, lines)) {
+      if (op.type === ' ') matches[i++] = j++;
+      else if (op.type === '-') i++;
+      else j++;
+    }
+    return matches;
+  };
+  const oursMatches = matchLines(oursLines);
+  const theirsMatches = matchLines(theirsLines);
+  const same = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+  
+  const result = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let oursIndex = 0;
+  let theirsIndex = 0;
+  while (baseIndex <= baseLines.length) {
+    // Find the next base line kept by both sides; everything before it is a changed chunk
+    let next = baseIndex;
+    while (next < baseLines.length && (oursMatches[next] < 0 || theirsMatches[next] < 0)) {
+      next++;
+    }
+    const oursEnd = next < baseLines.length ? oursMatches[next] : oursLines.length;
+    const theirsEnd = next < baseLines.length ? theirsMatches[next] : theirsLines.length;
+    
+    const baseChunk = baseLines.slice(baseIndex, next);
+    const oursChunk = oursLines.slice(oursIndex, oursEnd);
+    const theirsChunk = theirsLines.slice(theirsIndex, theirsEnd);
+    if (same(oursChunk, theirsChunk) || (base !== null && same(theirsChunk, baseChunk))) {
+      result.push(...oursChunk);
+    } else if (base !== null && same(oursChunk, baseChunk)) {
+      result.push(...theirsChunk);
+    } else {
+      conflicts++;
+      result.push('<<<<<<< edited', ...oursChunk, '=======', ...theirsChunk, '>>>>>>> generated');
+    }
+    
+    if (next < baseLines.length) {
+      result.push(baseLines[next]);
+    }
+    baseIndex = next + 1;
+    oursIndex = oursEnd + 1;
+    theirsIndex = theirsEnd + 1;
+  }
+  
+  return { text: result.length > 0 ? `${result.join('\n')}\n` : '', conflicts };
+}
 
-- Use Radix UI primitives for complex interactive components
-- Follow Radix UI's composition pattern for component customization
-- Implement proper accessibility features using Radix UI's built-in support
-- Use consistent styling patterns with Radix UI components`;
-  } else {
-    implementation = `
-### UI Component Implementation
+/**
+ * Print the actions collected during a dry run
+ */
+function printPlan() {
+  console.log('\n🧪 Dry run complete. Planned actions:');
+  if (runtime.plan.length === 0) {
+    console.log('  (nothing to do, everything is up to date)');
+  }
+  for (const { action, target } of runtime.plan) {
+    console.log(`  - ${action} ${target}`);
+  }
+  console.log('\nRe-run without --dry-run to apply these changes.\n');
+}
 
-- Organize components by function and reusability
-- Use consistent naming and structural patterns
-- Implement proper component composition
-- Follow accessibility best practices`;
+/**
+ * Load the checked-in project config file, or an explicit --config file
+ */
+function loadProjectConfig(configFile = null) {
+  const file = configFile || PROJECT_CONFIG_FILES.find(name => fs.existsSync(name));
+  if (!file) {
+    return {};
   }
   
-  const ruleContent = `---
-description: UI component guidelines and patterns
-globs: ${globs}
----
-# UI Components Guidelines
-
-## Pattern
+  let projectConfig;
+  try {
+    projectConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read project config ${file}: ${error.message}`);
+  }
+  
+  validateProjectConfig(projectConfig, displayPath(file));
+  console.log(`\n📄 Using project config: ${displayPath(file)}`);
+  return projectConfig;
+}
 
-UI components in this project are built using ${projectInfo.patterns.ui || 'standard patterns'}.
+/**
+ * Validate the shape of a project config, naming the offending key on error
+ */
+function validateProjectConfig(projectConfig, file) {
+  const fail = message => {
+    throw new Error(`Invalid project config ${file}: ${message}`);
+  };
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  
+  if (!projectConfig || typeof projectConfig !== 'object' || Array.isArray(projectConfig)) {
+    fail('expected a JSON object');
+  }
+  
+  for (const [key, value] of Object.entries(projectConfig)) {
+    switch (key) {
+      case 'memoryDirName':
+      case 'memoryFileName':
+      case 'rulesDirName':
+      case 'name':
+      case 'type':
+        if (typeof value !== 'string' || !value) fail(`"${key}" must be a non-empty string`);
+        break;
+      case 'mcpPort':
+        parsePort(value);
+        break;
+      case 'mcpTransport':
+        parseTransport(value);
+        break;
+      case 'scope':
+        parseScope(value);
+        break;
+      case 'clients':
+        if (!isStringList(value)) fail('"clients" must be a list of client ids');
+        resolveClients(value.join(','));
+        break;
+      case 'onConflict':
+        parseConflictAction(value);
+        break;
+      case 'frameworks':
+        if (!value || typeof value !== 'object' ||
+            Object.keys(value).some(name => !['add', 'remove'].includes(name) || !isStringList(value[name]))) {
+          fail('"frameworks" must be an object with "add" and/or "remove" lists');
+        }
+        break;
+      case 'patterns':
+        if (!value || typeof value !== 'object' ||
+            Object.keys(value).some(name => !['auth', 'dataManagement', 'ui'].includes(name)) ||
+            Object.values(value).some(item => item !== null && item !== false && typeof item !== 'string')) {
+          fail('"patterns" may set "auth", "dataManagement" and "ui" to a string, false or null');
+        }
+        break;
+      case 'rules':
+        if (!isStringList(value) || value.some(rule => !RULE_FILES[rule])) {
+          fail(`"rules" must list rule ids (${Object.keys(RULE_FILES).join(', ')})`);
+        }
+        break;
+      case 'servers':
+        if (!Array.isArray(value)) fail('"servers" must be a list of catalog ids or custom servers');
+        break;
+      case 'backup':
+        try {
+          parseBackupPolicy(value);
+        } catch (error) {
+          fail(`"backup" ${error.message}`);
+        }
+        break;
+      default:
+        fail(`unknown key "${key}"`);
+    }
+  }
+}
 
-## UI Implementation
+/**
+ * Apply project config values that replace defaults
+ */
+function applyProjectConfig(projectConfig) {
+  runtime.projectConfig = projectConfig;
+  
+  for (const key of ['memoryDirName', 'memoryFileName', 'rulesDirName']) {
+    if (projectConfig[key]) CONFIG[key] = projectConfig[key];
+  }
+  if (projectConfig.mcpPort !== undefined) CONFIG.mcpPort = parsePort(projectConfig.mcpPort);
+  if (projectConfig.mcpTransport !== undefined) CONFIG.mcpTransport = parseTransport(projectConfig.mcpTransport);
+  if (projectConfig.scope !== undefined) runtime.scope = parseScope(projectConfig.scope);
+  if (projectConfig.onConflict !== undefined) runtime.onConflict = parseConflictAction(projectConfig.onConflict);
+}
 
-### Component Organization
+/**
+ * Resolve a comma-separated list of client ids, or `all`, defaulting to Cursor
+ */
+function resolveClients(clientIds = '') {
+  const ids = clientIds.split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length === 0) {
+    ids.push('cursor');
+  }
+  if (ids.includes('all')) {
+    ids.splice(0, ids.length, ...Object.keys(CLIENTS));
+  }
+  
+  const unknown = ids.filter(id => !CLIENTS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown MCP client: ${unknown.join(', ')} (available: ${Object.keys(CLIENTS).join(', ')}, all)`);
+  }
+  return [...new Set(ids)].map(id => ({ id, ...CLIENTS[id] }));
+}
 
-- Organize components by function and reusability
-- Use a consistent naming convention for components
-- Implement proper component composition patterns
-- Separate presentation components from container components
-${implementation}
+/**
+ * Validate a memory server transport
+ */
+function parseTransport(value) {
+  if (!MCP_TRANSPORTS.includes(value)) {
+    throw new Error(`Invalid transport: ${value} (expected ${MCP_TRANSPORTS.join(', ')})`);
+  }
+  return value;
+}
 
-## Memory Usage For UI Components
+/**
+ * Pick the transport when only a port was given: a port means the server is
+ * reached over HTTP, so it selects SSE unless a transport was set as well
+ */
+function selectTransport(transport, portRequested) {
+  if (transport === undefined) {
+    return portRequested ? 'sse' : CONFIG.mcpTransport;
+  }
+  if (transport === 'stdio' && portRequested) {
+    throw new Error('A port needs the sse or http transport, stdio servers are launched by Cursor');
+  }
+  return transport;
+}
 
-When working with UI components, apply these memory retrieval and application guidelines:
+/**
+ * Get the URL Cursor connects to for the HTTP transports
+ */
+function getServerUrl() {
+  return `http://127.0.0.1:${CONFIG.mcpPort}${CONFIG.mcpTransport === 'sse' ? '/sse' : '/mcp'}`;
+}
 
-### Component Library Usage
+/**
+ * Validate a port number
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${value}`);
+  }
+  return port;
+}
 
-- Reference the established patterns for using UI components
-- Recall discussions about component customization
-- Remember specific requirements for component behavior
+/**
+ * Validate a configuration scope
+ */
+function parseScope(value) {
+  if (!CONFIG_SCOPES.includes(value)) {
+    throw new Error(`Invalid scope: ${value} (expected ${CONFIG_SCOPES.join(', ')})`);
+  }
+  return value;
+}
 
-### Design System
+/**
+ * Validate what to do with edited generated files
+ */
+function parseConflictAction(value) {
+  if (!CONFLICT_ACTIONS.includes(value)) {
+    throw new Error(`Invalid conflict action: ${value} (expected ${CONFLICT_ACTIONS.join(', ')})`);
+  }
+  return value;
+}
 
-- Reference the design system guidelines
-- Recall discussions about design consistency
-- Remember specific requirements for responsive behavior
+/**
+ * Validate a backup retention policy and convert its size limit to bytes
+ */
+function parseBackupPolicy(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('must be an object');
+  }
+  
+  const policy = {};
+  for (const [key, setting] of Object.entries(value)) {
+    if (['keep', 'daily', 'weekly'].includes(key)) {
+      if (!Number.isInteger(setting) || setting < 0) throw new Error(`"${key}" must be a whole number`);
+      policy[key] = setting;
+    } else if (key === 'maxSize') {
+      policy.maxSize = parseSize(setting);
+    } else if (key === 'gzip') {
+      if (typeof setting !== 'boolean') throw new Error('"gzip" must be true or false');
+      policy.gzip = setting;
+    } else {
+      throw new Error(`has an unknown key "${key}"`);
+    }
+  }
+  return policy;
+}
 
-## Best Practices
+/**
+ * Parse a size such as 500KB or 20MB into bytes (0 means unlimited)
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`has an invalid size ${value} (expected e.g. 500KB or 20MB)`);
+  }
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(Number(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
 
-1. Implement proper types for all component props
-2. Use proper semantic elements for accessibility
-3. Implement proper keyboard navigation and focus management
-4. Follow a consistent styling pattern
-5. Implement proper loading and error states for data-dependent components
-6. Use proper animations and transitions where appropriate
-7. Implement proper form handling and validation
-`;
+/**
+ * The retention policy written into the backup utility
+ */
+function getBackupPolicy() {
+  const { backup } = runtime.projectConfig;
+  return { ...BACKUP_POLICY, ...(backup ? parseBackupPolicy(backup) : {}) };
+}
 
-  fs.writeFileSync(rulePath, ruleContent);
-  console.log(`  ✓ Created UI components rule: ${rulePath}`);
+/**
+ * Validate a memory file format
+ */
+function parseMemoryFormat(value) {
+  if (!MEMORY_FORMATS.includes(value)) {
+    throw new Error(`Invalid memory format: ${value} (expected ${MEMORY_FORMATS.join(', ')})`);
+  }
+  return value;
 }
 
 /**
- * Create best practices rule file
+ * Resolve the selected servers from --servers ids, a --servers-file and the project config
  */
-function createBestPracticesRule(projectInfo) {
-  const rulePath = path.join(CONFIG.rulesDirName, 'best-practices.mdc');
+function resolveServers(serverIds = '', serversFile = null, configServers = []) {
+  const entries = ['memory', ...configServers, ...serverIds.split(',').map(id => id.trim()).filter(Boolean)];
   
-  // Skip if file already exists
-  if (fs.existsSync(rulePath)) {
-    console.log(`  ✓ Best practices rule already exists: ${rulePath}`);
-    return;
+  if (serversFile) {
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(serversFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read servers file ${serversFile}: ${error.message}`);
+    }
+    entries.push(...(Array.isArray(fileConfig) ? fileConfig : fileConfig.servers || []));
   }
   
-  // Create best practices based on project type
-  let practices = '';
-  if (projectInfo.type === 'Next.js') {
-    practices = `
-Next.js Best Practices:
-
-- Utilize Next.js App Router for improved performance and easier data fetching
-- Implement proper error boundaries to handle and display errors gracefully
-- Use suspense and concurrent features for efficient data fetching and rendering
-- Leverage Next.js built-in optimizations like code splitting and image optimization
-- Implement proper server-side rendering and static generation where appropriate
-
-React Best Practices:
-
-- Use functional components and hooks instead of class components for better code organization
-- Implement proper use of React.memo and useMemo for performance optimization
-- Follow the React hooks rules strictly to avoid common pitfalls
-- Utilize context API for efficient state management across components
-- Implement proper prop type validation for better code maintainability`;
-  } else if (projectInfo.type === 'React') {
-    practices = `
-React Best Practices:
-
-- Use functional components and hooks instead of class components for better code organization
-- Implement proper use of React.memo and useMemo for performance optimization
-- Follow the React hooks rules strictly to avoid common pitfalls
-- Utilize context API for efficient state management across components
-- Implement proper prop type validation for better code maintainability`;
-  } else if (projectInfo.type === 'Vue') {
-    practices = `
-Vue Best Practices:
-
-- Use Vue Composition API for better code organization and reusability
-- Implement proper component structure with clear separation of concerns
-- Follow Vue's official style guide for consistent code style
-- Utilize Vue's reactivity system efficiently
-- Implement proper error handling and form validation`;
-  } else if (projectInfo.type === 'Angular') {
-    practices = `
-Angular Best Practices:
-
-- Follow Angular's official style guide for consistent code style
-- Implement proper component design with clear inputs and outputs
-- Utilize Angular's dependency injection system effectively
-- Implement proper error handling and validation
-- Use Angular's change detection strategies for performance optimization`;
-  } else if (projectInfo.type === 'Python') {
-    practices = `
-Python Best Practices:
+  const servers = [];
+  for (const entry of entries) {
+    const server = typeof entry === 'string' ? createCatalogServer(entry) : createCustomServer(entry);
+    if (!servers.some(existing => existing.name === server.name)) {
+      servers.push(server);
+    }
+  }
+  return servers;
+}
 
-- Follow PEP 8 style guide for consistent code style
-- Use type hints for better code documentation and tooling
-- Implement proper error handling with try/except blocks
-- Use context managers for resource management
-- Implement proper logging for debugging and monitoring`;
-  } else {
-    practices = `
-General Best Practices:
+/**
+ * Create a selected server from the catalog
+ */
+function createCatalogServer(id) {
+  if (!SERVER_CATALOG[id]) {
+    throw new Error(`Unknown MCP server: ${id} (available: ${Object.keys(SERVER_CATALOG).join(', ')})`);
+  }
+  return { name: id, ...SERVER_CATALOG[id] };
+}
 
-- Follow consistent code style and formatting
-- Implement proper error handling and validation
-- Write clear and comprehensive documentation
-- Use meaningful variable and function names
-- Write unit tests for critical functionality
-- Follow security best practices for the platform`;
+/**
+ * Create a selected server from a custom definition, e.g. a local script:
+ * { "name": "docs", "command": "node", "args": ["tools/docs-server.js"], "env": {}, "requiredEnv": [] }
+ */
+function createCustomServer(definition) {
+  if (!definition || !/^[a-z0-9][a-z0-9_-]*$/i.test(definition.name || '') || !definition.command) {
+    throw new Error(`Invalid custom MCP server: ${JSON.stringify(definition)} (needs a name and a command)`);
   }
   
-  // Add framework-specific best practices
-  if (projectInfo.patterns.auth === 'Firebase Authentication') {
-    practices += `
+  const args = definition.args || [];
+  return {
+    name: definition.name,
+    description: definition.description || 'Custom MCP server',
+    install: null,
+    requiredEnv: definition.requiredEnv || [],
+    config: context => ({
+      command: definition.command,
+      // Local script paths are resolved against the project directory
+      args: args.map(arg => (fs.existsSync(arg) ? context.resolve(arg) : arg)),
+      ...(definition.env ? { env: definition.env } : {})
+    })
+  };
+}
 
-Firebase Best Practices:
+/**
+ * Ask the user a question and resolve with the trimmed answer
+ */
+function ask(question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+}
 
-- Use Firebase Authentication for secure user management
-- Implement proper Firebase Security Rules for data protection
-- Utilize Firebase Firestore for efficient data storage
-- Implement proper error handling and offline support with Firebase
-- Use Firebase Performance Monitoring for identifying and fixing performance issues`;
+/**
+ * Ask for a yes/no confirmation (always yes with --yes)
+ */
+async function confirm(question) {
+  if (runtime.yes) return true;
+  if (!process.stdin.isTTY) {
+    console.log(`${question} (no terminal available, pass --yes to confirm)`);
+    return false;
   }
   
-  if (projectInfo.patterns.ui === 'Tailwind CSS') {
-    practices += `
+  const answer = await ask(`${question} (y/N) `);
+  return /^y(es)?$/i.test(answer);
+}
 
-Tailwind CSS Best Practices:
+// Command-line subcommands
+const COMMANDS = {
+  init: { description: 'Run the complete setup (default)', run: setupMCP },
+  rules: { description: 'Regenerate the rule files in .cursor/rules', run: runRulesCommand },
+  templates: {
+    description: 'List the rule templates and where each one comes from',
+    run: runTemplatesCommand,
+    subcommands: {
+      eject: { description: 'Copy the built-in rule templates to .mcp/templates to customize them', run: runTemplatesEjectCommand }
+    }
+  },
+  memory: {
+    description: 'Create or update the memory file and memory utilities',
+    run: runMemoryCommand,
+    subcommands: {
+      convert: { description: 'Convert the memory file between the graph and legacy entries formats', run: runMemoryConvertCommand }
+    }
+  },
+  verify: { description: 'Check that the setup is in place', run: runVerifyCommand },
+  doctor: { description: 'Diagnose problems with the environment and setup', run: runDoctorCommand },
+  uninstall: { description: 'Remove everything created by setup', run: runUninstallCommand }
+};
 
-- Use Tailwind CSS for efficient and consistent styling
-- Implement proper responsive design using Tailwind's utility classes
-- Utilize Tailwind's custom configuration for project-specific styles
-- Implement proper accessibility practices with Tailwind's focus and screen reader classes
-- Use Tailwind's component extraction patterns for reusable UI elements`;
+// Command-line flags
+const OPTIONS = {
+  '--project-dir': { key: 'projectDir', value: '<dir>', description: 'Project to set up (default: current directory)' },
+  '--client': { key: 'client', value: '<ids>', description: 'MCP clients to configure, comma-separated or all (default: cursor)' },
+  '--scope': { key: 'scope', value: '<scope>', description: 'Client configurations to write: project, global or both (default: project)' },
+  '--config': { key: 'config', value: '<file>', description: `Project config file (default: ${PROJECT_CONFIG_FILES.join(' or ')})` },
+  '--servers': { key: 'servers', value: '<ids>', description: 'Extra MCP servers to set up, comma-separated (see below)' },
+  '--servers-file': { key: 'serversFile', value: '<file>', description: 'JSON file listing catalog ids and custom servers' },
+  '--transport': { key: 'transport', value: '<mode>', description: 'Memory server transport: stdio, sse or http (default: stdio, sse with --port)' },
+  '--port': { key: 'port', value: '<port>', description: `Port for the sse and http transports (default: ${CONFIG.mcpPort})` },
+  '--skip-install': { key: 'skipInstall', description: 'Do not install or uninstall the MCP server package' },
+  '--package-json': { key: 'packageJson', description: 'Create package.json and install Node.js servers locally in a project in another language' },
+  '--on-conflict': { key: 'onConflict', value: '<mode>', description: 'Edited rule files: ask, skip, overwrite or merge (default: ask)' },
+  '--to': { key: 'to', value: '<format>', description: 'Format for memory convert: graph or entries (default: the other one)' },
+  '--keep-memory': { key: 'keepMemory', description: 'Keep the memory file and its backups when uninstalling' },
+  '--yes': { key: 'yes', alias: '-y', description: 'Answer yes to every confirmation prompt' },
+  '--dry-run': { key: 'dryRun', description: 'Show planned changes without applying them' },
+  '--help': { key: 'help', alias: '-h', description: 'Show this help' }
+};
+
+/**
+ * Parse command-line arguments into a command name and options
+ */
+function parseArgs(args) {
+  const parsed = { options: {} };
+  
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    const name = Object.keys(OPTIONS).find(key => key === flag || OPTIONS[key].alias === flag);
+    
+    if (name) {
+      const option = OPTIONS[name];
+      if (!option.value) {
+        parsed.options[option.key] = true;
+      } else if (inlineValue !== undefined) {
+        parsed.options[option.key] = inlineValue;
+      } else if (i + 1 < args.length) {
+        parsed.options[option.key] = args[++i];
+      } else {
+        throw new Error(`Missing value for ${name}`);
+      }
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option: ${flag}`);
+    } else if (!parsed.command) {
+      parsed.command = flag;
+    } else if (!parsed.subcommand) {
+      parsed.subcommand = flag;
+    } else {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
   }
   
-  const ruleContent = `---
-description: Best practices to implement for the tech stack used
-globs: 
----
-${practices}
-
-General Standards:
-
-- Keep components small and focused for better maintainability
-- Follow proper state management patterns
-- Implement proper testing practices with unit and integration tests
-- Use linting and formatting tools for consistent code style and quality
-- Implement proper error handling and logging throughout the application
-`;
+  return parsed;
+}
 
-  fs.writeFileSync(rulePath, ruleContent);
-  console.log(`  ✓ Created best practices rule: ${rulePath}`);
+/**
+ * Print command-line usage
+ */
+function printUsage() {
+  console.log('\nUsage: node setup-mcp.js [command] [options]\n');
+  console.log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(22)}${command.description}`);
+    for (const [subname, subcommand] of Object.entries(command.subcommands || {})) {
+      console.log(`  ${`${name} ${subname}`.padEnd(22)}${subcommand.description}`);
+    }
+  }
+  console.log('\nOptions:');
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    const flag = `${option.alias ? `${option.alias}, ` : ''}${name}${option.value ? ` ${option.value}` : ''}`;
+    console.log(`  ${flag.padEnd(22)}${option.description}`);
+  }
+  console.log('\nServers:');
+  for (const [id, server] of Object.entries(SERVER_CATALOG)) {
+    console.log(`  ${id.padEnd(22)}${server.description}`);
+  }
+  console.log('\nClients:');
+  for (const [id, client] of Object.entries(CLIENTS)) {
+    const scopes = ['project', 'global'].filter(scope => client[scope]).join(' and ');
+    console.log(`  ${id.padEnd(22)}${client.name} (${scopes} configuration)`);
+  }
+  console.log('');
 }
 
 /**
- * Create initial memory file with enhanced context
+ * Command-line entry point
  */
-function createMemoryFile(projectInfo, projectContext) {
-  console.log('💾 Creating initial memory file...');
+async function main() {
+  let run;
+  let options;
+  try {
+    let command;
+    let subcommand;
+    ({ command = 'init', subcommand, options } = parseArgs(process.argv.slice(2)));
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    const subcommands = COMMANDS[command].subcommands || {};
+    if (subcommand && !subcommands[subcommand]) {
+      throw new Error(`Unknown ${command} command: ${subcommand}`);
+    }
+    ({ run } = subcommand ? subcommands[subcommand] : COMMANDS[command]);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    printUsage();
+    process.exitCode = 1;
+    rl.close();
+    return;
+  }
   
-  const memoryPath = path.join(CONFIG.memoryDirName, CONFIG.memoryFileName);
+  if (options.help) {
+    printUsage();
+    rl.close();
+    return;
+  }
   
-  // Create initial memory content
-  const initialMemory = {
-    entries: [
-      {
-        id: "initial-setup",
-        timestamp: new Date().toISOString(),
-        content: `MCP Memory Server successfully configured for ${projectInfo.name}. This project uses ${projectInfo.type}${projectInfo.frameworks.length > 0 ? ` with ${projectInfo.frameworks.join(', ')}` : ''}. ${projectInfo.patterns.auth ? `Authentication is handled by ${projectInfo.patterns.auth}.` : ''} ${projectInfo.patterns.dataManagement ? `Data management is handled by ${projectInfo.patterns.dataManagement}.` : ''} ${projectInfo.patterns.ui ? `UI is built with ${projectInfo.patterns.ui}.` : ''}`
-      },
-      {
-        id: "project-context",
-        timestamp: new Date().toISOString(),
-        content: projectContext
+  try {
+    const serversFile = options.serversFile ? path.resolve(options.serversFile) : null;
+    const configFile = options.config ? path.resolve(options.config) : null;
+    if (options.projectDir) {
+      if (!fs.existsSync(options.projectDir) || !fs.statSync(options.projectDir).isDirectory()) {
+        throw new Error(`Project directory not found: ${options.projectDir}`);
       }
-    ]
-  };
-  
-  fs.writeFileSync(memoryPath, JSON.stringify(initialMemory, null, 2));
-  console.log(`  ✓ Created enhanced memory file at: ${memoryPath}`);
+      process.chdir(options.projectDir);
+    }
+    
+    // Command-line flags take precedence over the project config file
+    const projectConfig = loadProjectConfig(configFile);
+    applyProjectConfig(projectConfig);
+    if (options.port !== undefined) CONFIG.mcpPort = parsePort(options.port);
+    // Only --port switches the transport, mcpPort is the port an HTTP transport uses
+    CONFIG.mcpTransport = selectTransport(
+      options.transport !== undefined ? parseTransport(options.transport) : projectConfig.mcpTransport,
+      options.port !== undefined
+    );
+    if (options.scope !== undefined) runtime.scope = parseScope(options.scope);
+    if (options.onConflict !== undefined) runtime.onConflict = parseConflictAction(options.onConflict);
+    runtime.clients = resolveClients(options.client !== undefined ? options.client : (projectConfig.clients || []).join(','));
+    runtime.servers = resolveServers(options.servers, serversFile, projectConfig.servers);
+    runtime.dryRun = Boolean(options.dryRun);
+    runtime.skipInstall = Boolean(options.skipInstall);
+    runtime.packageJson = Boolean(options.packageJson);
+    runtime.yes = Boolean(options.yes);
+    runtime.keepMemory = Boolean(options.keepMemory);
+    if (options.to !== undefined) runtime.convertTo = parseMemoryFormat(options.to);
+    
+    if (runtime.dryRun) {
+      console.log('\n🧪 Dry run: no commands will be executed and no files will be written');
+    }
+    await run();
+    if (runtime.dryRun) {
+      printPlan();
+    }
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    saveManifest();
+    rl.close();
+  }
 }
 
-// Run the setup
-setupMCP(); 
\ No newline at end of file
+// Run the command-line interface
+main(); 
\ No newline at end of file
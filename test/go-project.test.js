@@ -0,0 +1,64 @@
+/**
+ * Set up a Go project and check it gets no package.json, with the Node.js
+ * servers launched through npx instead.
+ *
+ * Usage: node --test
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SETUP_SCRIPT = path.join(__dirname, '..', 'setup-mcp.js');
+
+let tempDir;
+let projectDir;
+
+/**
+ * Run setup in the Go project with a temporary home directory
+ */
+function runSetup(...args) {
+  const result = spawnSync(process.execPath, [SETUP_SCRIPT, ...args], {
+    cwd: projectDir,
+    env: { ...process.env, HOME: tempDir, XDG_CONFIG_HOME: path.join(tempDir, '.config') },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  return { status: result.status, output: `${result.stdout}${result.stderr}` };
+}
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-go-test-'));
+  projectDir = path.join(tempDir, 'project');
+  fs.mkdirSync(projectDir);
+  fs.writeFileSync(path.join(projectDir, 'go.mod'), 'module example.com/app\n\ngo 1.22\n\nrequire github.com/gin-gonic/gin v1.9.1\n');
+  fs.writeFileSync(path.join(projectDir, 'main.go'), 'package main\n\nfunc main() {}\n');
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('sets up a Go project without package.json', () => {
+  const { status, output } = runSetup('init', '--yes');
+  assert.equal(status, 0, output);
+  assert.match(output, /No package\.json in this Go project/);
+  assert.match(output, /Detected Go/);
+  for (const file of ['package.json', 'package-lock.json', 'node_modules']) {
+    assert.ok(!fs.existsSync(path.join(projectDir, file)), `${file} was not created`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(path.join(projectDir, '.cursor', 'mcp.json'), 'utf8'));
+  assert.equal(config.mcpServers.memory.command, 'npx');
+  assert.deepEqual(config.mcpServers.memory.args, ['-y', '@modelcontextprotocol/server-memory']);
+  assert.ok(fs.existsSync(path.join(projectDir, '.cursor', 'rules', 'project-rules.mdc')));
+});
+
+test('verifies the Go project setup without package.json', () => {
+  const { status, output } = runSetup('verify', '--skip-install');
+  assert.equal(status, 0, output);
+  assert.doesNotMatch(output, /package\.json for MCP script/);
+  assert.ok(!fs.existsSync(path.join(projectDir, 'package.json')));
+});
@@ -0,0 +1,246 @@
+/**
+ * Run the generated memory explorer against a memory file holding markup and
+ * check it is shown as text and the server refuses foreign or unauthenticated
+ * requests.
+ *
+ * Usage: node --test
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const vm = require('vm');
+const { execFileSync, spawn } = require('child_process');
+
+const SETUP_SCRIPT = path.join(__dirname, '..', 'setup-mcp.js');
+const TOKEN = 'test-token';
+const SCRIPT_NAME = '<script>alert("name")</script>';
+const IMAGE_OBSERVATION = '<img src=x onerror="alert(\'observation\')">';
+
+let tempDir;
+let explorer;
+let port;
+
+/**
+ * Find a free local port for the explorer
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port: freePort } = server.address();
+      server.close(() => resolve(freePort));
+    });
+  });
+}
+
+/**
+ * Send a request to the explorer with the given headers and collect the response
+ */
+function request(pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Minimal DOM element: text set through textContent or append stays text, other
+ * values are converted to strings as browsers do, and any attempt to parse HTML
+ * fails the test
+ */
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.childNodes = [];
+    this.classList = { toggle() {} };
+  }
+
+  get textContent() {
+    return this.childNodes.map(child => (typeof child === 'string' ? child : child.textContent)).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes = [String(text)];
+  }
+
+  set innerHTML(html) {
+    throw new Error(`HTML assigned to <${this.tagName.toLowerCase()}>: ${html}`);
+  }
+
+  set outerHTML(html) {
+    throw new Error(`HTML assigned to <${this.tagName.toLowerCase()}>: ${html}`);
+  }
+
+  insertAdjacentHTML(position, html) {
+    throw new Error(`HTML inserted into <${this.tagName.toLowerCase()}>: ${html}`);
+  }
+
+  append(...nodes) {
+    this.childNodes.push(...nodes.map(node => (node instanceof FakeElement ? node : String(node))));
+  }
+
+  replaceChildren(...nodes) {
+    this.childNodes = [];
+    this.append(...nodes);
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  get elements() {
+    return this.childNodes
+      .filter(child => typeof child !== 'string')
+      .flatMap(child => [child, ...child.elements]);
+  }
+}
+
+/**
+ * Wait until a condition holds, polling every few milliseconds
+ */
+async function waitFor(condition, message) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-explorer-test-'));
+  const projectDir = path.join(tempDir, 'project');
+  fs.mkdirSync(projectDir);
+  execFileSync(process.execPath, [SETUP_SCRIPT, 'memory', '--yes'], {
+    cwd: projectDir,
+    env: { ...process.env, HOME: tempDir, XDG_CONFIG_HOME: path.join(tempDir, '.config') },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  const memory = [
+    { type: 'entity', name: SCRIPT_NAME, entityType: '<b>type</b>', observations: [IMAGE_OBSERVATION, '<svg onload=alert(1)>'] },
+    { type: 'entity', name: 'plain', entityType: 'note', observations: ['nothing to see'] },
+    { type: 'relation', from: SCRIPT_NAME, to: 'plain', relationType: '<i>links</i>' }
+  ];
+  fs.writeFileSync(path.join(projectDir, '.mcp', 'ai_memory.json'), memory.map(item => JSON.stringify(item)).join('\n'));
+
+  port = await getFreePort();
+  explorer = spawn(process.execPath, [path.join(projectDir, '.mcp', 'memory-explorer.js'), '--port', String(port), '--token', TOKEN], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    explorer.stdout.setEncoding('utf8');
+    explorer.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Memory Explorer started')) resolve();
+    });
+    explorer.on('exit', code => reject(new Error(`The explorer exited with code ${code}: ${output}`)));
+  });
+});
+
+after(() => {
+  if (explorer) explorer.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('sends the content security policy with the page and the API', async () => {
+  const page = await request('/');
+  assert.equal(page.status, 200);
+  assert.match(page.headers['content-security-policy'], /default-src 'none'; script-src 'self'/);
+  assert.equal(page.headers['x-content-type-options'], 'nosniff');
+
+  const api = await request('/api/records', { Authorization: `Bearer ${TOKEN}` });
+  assert.equal(api.status, 200);
+  assert.match(api.headers['content-security-policy'], /default-src 'none'/);
+  assert.match(api.headers['content-type'], /^application\/json/);
+});
+
+test('rejects foreign hosts and origins', async () => {
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+  assert.equal((await request('/', { Host: 'evil.example' })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Host: `evil.example:${port}` })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Origin: 'http://evil.example' })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Origin: `http://localhost:${port + 1}` })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Origin: 'null' })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Origin: 'not a url' })).status, 403);
+  assert.equal((await request('/api/records', { ...auth, Origin: `http://localhost:${port}` })).status, 200);
+});
+
+test('requires the access token for the API', async () => {
+  assert.equal((await request('/api/records')).status, 401);
+  assert.equal((await request('/api/records', { Authorization: 'Bearer wrong-token' })).status, 401);
+  assert.equal((await request('/api/records', { Authorization: TOKEN })).status, 401);
+  assert.equal((await request(`/api/records/${encodeURIComponent(SCRIPT_NAME)}`, { Authorization: 'Bearer wrong-token' })).status, 401);
+  assert.equal((await request('/api/records', { Authorization: `Bearer ${TOKEN}` })).status, 200);
+});
+
+test('shows markup from the memory file only as text', async () => {
+  const page = await request('/');
+  assert.ok(!page.body.includes(SCRIPT_NAME), 'the page embeds no memory content');
+  const script = await request('/app.js');
+  assert.equal(script.status, 200);
+
+  // Run the page script against a DOM that refuses HTML, talking to the explorer
+  const elements = new Map();
+  const created = [];
+  const document = {
+    getElementById: id => {
+      if (!elements.has(id)) elements.set(id, new FakeElement('div'));
+      return elements.get(id);
+    },
+    createElement: tag => {
+      const element = new FakeElement(tag);
+      created.push(element);
+      return element;
+    },
+    querySelectorAll: () => []
+  };
+  const storage = new Map();
+  const context = vm.createContext({
+    document,
+    location: { hash: `#token=${TOKEN}`, pathname: '/' },
+    history: { replaceState() {} },
+    sessionStorage: { getItem: key => storage.get(key) || null, setItem: (key, value) => storage.set(key, value) },
+    fetch: (url, options) => fetch(`http://127.0.0.1:${port}${url}`, options),
+    URLSearchParams,
+    setTimeout,
+    clearTimeout
+  });
+  vm.runInContext(script.body, context);
+
+  const records = document.getElementById('records');
+  const status = document.getElementById('status');
+  await waitFor(() => records.childNodes.length > 0 || status.textContent, 'the record list');
+  assert.equal(status.textContent, '');
+  assert.ok(records.textContent.includes(SCRIPT_NAME));
+  assert.ok(records.textContent.includes(IMAGE_OBSERVATION));
+
+  // Open the record to render its observations and relations
+  const item = records.childNodes.find(child => child.textContent.includes(SCRIPT_NAME));
+  item.onclick();
+  const detail = document.getElementById('detail');
+  await waitFor(() => detail.textContent.includes('Observations') || status.textContent, 'the record details');
+  assert.equal(status.textContent, '');
+  assert.ok(detail.textContent.includes(SCRIPT_NAME));
+  assert.ok(detail.textContent.includes(IMAGE_OBSERVATION));
+  assert.ok(detail.textContent.includes('<svg onload=alert(1)>'));
+  assert.ok(detail.textContent.includes('<i>links</i>'));
+
+  // The markup never became elements
+  const tags = new Set(created.map(element => element.tagName));
+  for (const tag of ['SCRIPT', 'IMG', 'SVG', 'B', 'I']) {
+    assert.ok(!tags.has(tag), `no <${tag.toLowerCase()}> element was created`);
+  }
+  const rendered = [records, detail].flatMap(root => root.elements);
+  assert.ok(rendered.every(element => created.includes(element)));
+});